@@ -7,6 +7,8 @@ import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import fs from 'fs';
 import { createClient } from '@supabase/supabase-js';
+import jpeg from 'jpeg-js';
+import webpush from 'web-push';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +17,17 @@ const config = {
   port: process.env.PORT || 3000,
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
   streamUrl: 'https://5c50a1c26792b.streamlock.net/live/ngrp:MaseruBridge.stream_all/playlist.m3u8',
+  frameSourceType: process.env.FRAME_SOURCE_TYPE || 'hls',   // 'hls', 'hls-oneshot', 'rtsp', 'file' or 'directory'
+  frameSourceLocation: process.env.FRAME_SOURCE || null,     // URL or path - defaults to streamUrl
+  fileSourceStepSeconds: 20,     // How far to advance through a video file per capture
+  framesPerCapture: 3,           // Frames sampled per capture when the source supports bursts
+  burstWindowMs: 6000,           // Max time to wait for a full burst
+  referenceDir: process.env.REFERENCE_DIR || null,           // Labelled angle references - defaults to ./references
+  calendarFile: process.env.CALENDAR_FILE || null,           // Holidays/paydays - defaults to ./data/calendar.json
+  nightMode: process.env.NIGHT_MODE || 'auto',               // 'clock', 'brightness' or 'auto' - see NIGHT PROFILE
+  frozenStreamMinutes: parseFloat(process.env.FROZEN_STREAM_MINUTES) || 15, // Unchanged picture this long = frozen feed
+  frozenHashDistance: parseInt(process.env.FROZEN_HASH_DISTANCE, 10) || 2,  // dHash bits (of 256) that may differ in an "unchanged" picture
+  timeZone: process.env.BORDER_TIME_ZONE || 'Africa/Maseru',  // Default wall clock for operating hours - see BORDER OPERATING HOURS
   captureInterval: 90000,        // Capture every 90 seconds (was 3 min) to catch more angles
   cacheTimeout: 120000,          // Cache analysis for 2 minutes
   maxBufferSize: 20,             // Keep last 20 frames (more history)
@@ -22,8 +35,19 @@ const config = {
   supabaseUrl: process.env.SUPABASE_URL,
   supabaseServiceKey: process.env.SUPABASE_SERVICE_KEY,
   detectorUrl: process.env.DETECTOR_URL || 'https://traffic-detector-jzbg.onrender.com',
+  vapidPublicKey: process.env.VAPID_PUBLIC_KEY,
+  vapidPrivateKey: process.env.VAPID_PRIVATE_KEY,
+  vapidSubject: process.env.VAPID_SUBJECT || 'mailto:admin@4dcs.co.za',
 };
 
+config.frameSourceLocation = config.frameSourceLocation || config.streamUrl;
+config.referenceDir = config.referenceDir || path.join(__dirname, 'references');
+config.calendarFile = config.calendarFile || path.join(__dirname, 'data', 'calendar.json');
+if (!isValidTimeZone(config.timeZone)) {
+  console.error(`⚠️ Unknown BORDER_TIME_ZONE "${config.timeZone}" - using Africa/Maseru`);
+  config.timeZone = 'Africa/Maseru';
+}
+
 const anthropic = new Anthropic({
   apiKey: config.anthropicApiKey,
 });
@@ -37,1195 +61,4280 @@ if (config.supabaseUrl && config.supabaseServiceKey) {
   console.log('⚠️ Supabase credentials not found - running without persistence');
 }
 
+// Web Push (only if VAPID keys provided - generate with `npx web-push generate-vapid-keys`)
+const pushEnabled = !!(config.vapidPublicKey && config.vapidPrivateKey);
+if (pushEnabled) {
+  webpush.setVapidDetails(config.vapidSubject, config.vapidPublicKey, config.vapidPrivateKey);
+  console.log('✅ Web Push configured');
+} else {
+  console.log('⚠️ VAPID keys not found - push alerts disabled');
+}
+
 // =============================================
 // VEHICLE DETECTOR SERVICE (YOLO + Geometry)
 // =============================================
 // Calls external Python service for deterministic lane-based detection
 // Direction is computed by geometry, NOT language inference
+//
+// The detector runs on a free tier and sleeps/crashes regularly, so calls are
+// guarded: a hard timeout per attempt, a couple of retries with backoff, and a
+// circuit breaker that stops calling it for a while after repeated failures.
+// A background health probe closes the circuit as soon as it answers again.
+
+const DETECTOR_TIMEOUT_MS = 20000;          // Per attempt (cold starts are slow)
+const DETECTOR_MAX_ATTEMPTS = 3;            // 1 call + 2 retries
+const DETECTOR_RETRY_BASE_MS = 1000;        // Backoff: 1s, 2s
+const DETECTOR_FAILURE_THRESHOLD = 3;       // Consecutive failed calls before the circuit opens
+const DETECTOR_COOLDOWN_MS = 2 * 60 * 1000; // How long to skip the detector once open
+const DETECTOR_HEALTH_INTERVAL_MS = 60000;  // Background health probe
+const DETECTOR_HEALTH_TIMEOUT_MS = 5000;
+
+const detectorState = {
+  circuit: 'closed',        // 'closed' (normal), 'open' (skipping calls), 'half_open' (trial call allowed)
+  trialInFlight: false,     // Half-open: the single trial call is running - everyone else skips
+  consecutiveFailures: 0,
+  openedAt: null,
+  lastSuccess: null,
+  lastFailure: null,
+  lastError: null,
+  lastHealthCheck: null,
+  healthy: null,            // Result of the last health probe (null = not probed yet)
+  calls: 0,
+  failures: 0,
+  skipped: 0,
+};
 
-async function detectVehicles(imageBase64, cameraView = 'bridge') {
+// fetch() has no timeout of its own - abort it ourselves
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
   try {
-    const response = await fetch(`${config.detectorUrl}/analyze`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        image: imageBase64,
-        camera_view: cameraView
-      }),
-      timeout: 30000
-    });
-    
-    if (!response.ok) {
-      console.error(`❌ Detector service error: ${response.status}`);
-      return null;
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`timed out after ${timeoutMs / 1000}s`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Is a call allowed right now? Resolves to null (skip) or { trial } - only the
+// call that took the half-open trial slot gets trial: true and releases it.
+// Moves open -> half_open once the cooldown is over; a half-open circuit lets
+// exactly one trial call through at a time.
+function acquireDetectorCall() {
+  if (detectorState.circuit === 'closed') return { trial: false };
+  
+  if (detectorState.circuit === 'open') {
+    if (Date.now() - detectorState.openedAt < DETECTOR_COOLDOWN_MS) return null;
+    detectorState.circuit = 'half_open';
+    console.log('🔌 Detector circuit half-open - allowing a trial call');
+  }
+  
+  if (detectorState.trialInFlight) return null;
+  detectorState.trialInFlight = true;
+  return { trial: true };
+}
+
+function recordDetectorSuccess() {
+  if (detectorState.circuit !== 'closed') {
+    console.log('🔌 Detector circuit closed - detector is back');
+  }
+  detectorState.circuit = 'closed';
+  detectorState.consecutiveFailures = 0;
+  detectorState.openedAt = null;
+  detectorState.lastSuccess = Date.now();
+}
+
+// The detector answered but refused the request (4xx) - our problem, not an
+// outage, so it doesn't count towards opening the circuit
+function recordDetectorRejection(error) {
+  detectorState.failures++;
+  detectorState.lastFailure = Date.now();
+  detectorState.lastError = error.message;
+  
+  if (detectorState.circuit === 'half_open') {
+    console.log('🔌 Detector circuit closed - detector is answering again');
+    detectorState.circuit = 'closed';
+    detectorState.consecutiveFailures = 0;
+    detectorState.openedAt = null;
+  }
+}
+
+function recordDetectorFailure(error) {
+  detectorState.failures++;
+  detectorState.consecutiveFailures++;
+  detectorState.lastFailure = Date.now();
+  detectorState.lastError = error.message;
+  
+  // A failed trial call re-opens immediately
+  if (detectorState.circuit === 'half_open' ||
+      (detectorState.circuit === 'closed' && detectorState.consecutiveFailures >= DETECTOR_FAILURE_THRESHOLD)) {
+    detectorState.circuit = 'open';
+    detectorState.openedAt = Date.now();
+    console.log(`🔌 Detector circuit OPEN after ${detectorState.consecutiveFailures} failures - visual-only for ${DETECTOR_COOLDOWN_MS / 60000} min`);
+  }
+}
+
+// Detector contract - POST {detectorUrl}/analyze with JSON:
+//   image                 base64 JPEG
+//   camera_view           'bridge' | 'canopy' | 'engen' (the angle's detectorView)
+//   low_light             optional bool - night frame, use the low-light model/preprocessing
+//   confidence_threshold  optional number 0-1 - minimum box score to count (detector default otherwise)
+// and answers with { LS_to_SA, SA_to_LS, total, direction_uncertain, breakdown }
+// (canopy: SA_to_LS_queue, LS_to_SA_area). The optional fields are hints - a
+// detector that doesn't implement them must ignore them and use its defaults,
+// so night counts are then just day-tuned. A 4xx other than 429 (rate
+// limited - retried like a 5xx) is treated as permanent.
+async function requestDetection(imageBase64, cameraView, params = {}) {
+  const response = await fetchWithTimeout(`${config.detectorUrl}/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      image: imageBase64,
+      camera_view: cameraView,
+      ...params // Lighting-specific settings (see NIGHT PROFILE)
+    }),
+  }, DETECTOR_TIMEOUT_MS);
+  
+  if (!response.ok) {
+    // 4xx means we sent something it can't handle - retrying won't help
+    const error = new Error(`HTTP ${response.status}`);
+    error.retryable = response.status >= 500 || response.status === 429;
+    throw error;
+  }
+  
+  return response.json();
+}
+
+// Resolves to the detector result, or null if the detector is unavailable
+async function detectVehicles(imageBase64, cameraView = 'bridge', params = {}) {
+  const permit = acquireDetectorCall();
+  if (!permit) {
+    detectorState.skipped++;
+    return null;
+  }
+  
+  detectorState.calls++;
+  let lastError = null;
+  
+  try {
+    for (let attempt = 1; attempt <= DETECTOR_MAX_ATTEMPTS; attempt++) {
+      try {
+        const result = await requestDetection(imageBase64, cameraView, params);
+        recordDetectorSuccess();
+        console.log(`🎯 Detector: SA→LS: ${result.SA_to_LS}, LS→SA: ${result.LS_to_SA}, Total: ${result.total}`);
+        return result;
+      } catch (error) {
+        lastError = error;
+        const retryable = error.retryable !== false;
+        console.error(`❌ Detector ${cameraView} attempt ${attempt}/${DETECTOR_MAX_ATTEMPTS} failed: ${error.message}`);
+        
+        // A half-open circuit only gets one trial call
+        if (!retryable || detectorState.circuit === 'half_open' || attempt === DETECTOR_MAX_ATTEMPTS) break;
+        await new Promise(resolve => setTimeout(resolve, DETECTOR_RETRY_BASE_MS * 2 ** (attempt - 1)));
+      }
     }
     
-    const result = await response.json();
-    console.log(`🎯 Detector: SA→LS: ${result.SA_to_LS}, LS→SA: ${result.LS_to_SA}, Total: ${result.total}`);
-    return result;
-  } catch (error) {
-    console.error('❌ Detector service failed:', error.message);
+    if (lastError.retryable === false) {
+      recordDetectorRejection(lastError);
+    } else {
+      recordDetectorFailure(lastError);
+    }
     return null;
+  } finally {
+    if (permit.trial) detectorState.trialInFlight = false;
   }
 }
 
-// Map camera view to angle type
-const ANGLE_TO_VIEW = {
-  'bridge': 'bridge',
-  'processing': 'canopy',
-  'wide': 'engen'
-};
+// Background probe of GET /health - keeps the status fresh and closes the circuit early
+async function probeDetectorHealth() {
+  detectorState.lastHealthCheck = Date.now();
+  
+  try {
+    const response = await fetchWithTimeout(`${config.detectorUrl}/health`, { method: 'GET' }, DETECTOR_HEALTH_TIMEOUT_MS);
+    detectorState.healthy = response.ok;
+  } catch (err) {
+    detectorState.healthy = false;
+  }
+  
+  if (detectorState.healthy && detectorState.circuit === 'open') {
+    detectorState.circuit = 'half_open';
+    console.log('🔌 Detector health probe OK - circuit half-open');
+  }
+  return detectorState.healthy;
+}
+
+function startDetectorHealthProbe() {
+  probeDetectorHealth();
+  setInterval(probeDetectorHealth, DETECTOR_HEALTH_INTERVAL_MS);
+}
+
+function getDetectorStatus() {
+  const toIso = (ts) => ts ? new Date(ts).toISOString() : null;
+  return {
+    available: detectorState.circuit !== 'open',
+    circuit: detectorState.circuit,
+    healthy: detectorState.healthy,
+    consecutiveFailures: detectorState.consecutiveFailures,
+    openedAt: toIso(detectorState.openedAt),
+    retryAt: detectorState.circuit === 'open' ? toIso(detectorState.openedAt + DETECTOR_COOLDOWN_MS) : null,
+    lastSuccess: toIso(detectorState.lastSuccess),
+    lastFailure: toIso(detectorState.lastFailure),
+    lastError: detectorState.lastError,
+    lastHealthCheck: toIso(detectorState.lastHealthCheck),
+    calls: detectorState.calls,
+    failures: detectorState.failures,
+    skipped: detectorState.skipped,
+  };
+}
+
+// Per-frame detection cache. Frames never change once captured, so results are
+// keyed by camera + frame timestamp + angle and shared by every analysis that
+// uses the frame. In-flight requests are shared too; failures are not cached.
+const DETECTION_CACHE_SIZE = 60;
+const detectionCache = new Map(); // key -> Promise<result|null>
+
+function detectFrame(camera, frame) {
+  if (!frame) return Promise.resolve(null);
+  
+  const key = `${camera.id}:${frame.timestamp}:${frame.angleType}`;
+  if (detectionCache.has(key)) {
+    return detectionCache.get(key);
+  }
+  
+  const cameraView = camera.angles[frame.angleType]?.detectorView || frame.angleType;
+  const params = LIGHTING_PROFILES[frame.lighting || 'day'].detectorParams;
+  const pending = detectVehicles(frame.screenshot.toString('base64'), cameraView, params)
+    .then(result => {
+      if (!result) detectionCache.delete(key);
+      return result;
+    });
+  
+  detectionCache.set(key, pending);
+  // Map keeps insertion order - drop the oldest entries
+  while (detectionCache.size > DETECTION_CACHE_SIZE) {
+    detectionCache.delete(detectionCache.keys().next().value);
+  }
+  
+  return pending;
+}
+
+// How an analysis got its counts - visual-only when the bridge counts are missing or unusable
+function describeDetection(bridgeFrame, detectorCounts) {
+  if (detectorCounts && !detectorCounts.direction_uncertain) {
+    return { mode: 'detector', visualOnly: false, reason: null };
+  }
+  
+  let reason;
+  if (!bridgeFrame) reason = 'no_bridge_frame';
+  else if (detectorCounts?.direction_uncertain) reason = 'direction_uncertain';
+  else if (detectorState.circuit === 'open') reason = 'detector_down';
+  else reason = 'detector_error';
+  
+  return { mode: 'visual_only', visualOnly: true, reason };
+}
 
 // =============================================
 // TRAFFIC HISTORY TRACKER (Time-Series Analysis)
 // =============================================
 // Tracks vehicle counts over time to detect flow speed and trends
-const trafficHistory = {
-  readings: [],           // Array of { timestamp, bridgeCounts, canopyCounts }
-  MAX_HISTORY: 10,        // Keep last 10 readings (~10-15 minutes)
-  TREND_WINDOW: 5,        // Use last 5 readings for trend calculation
+// One tracker per camera - see createCamera()
+//
+// Trends are a least-squares line through the bridge counts of the last
+// TREND_WINDOW_MS, fitted against the real capture times, so irregular
+// capture intervals don't skew the slope. A direction is building up or
+// clearing only when the slope is steep enough AND the line actually fits
+// (r²) - a single noisy frame no longer flips the trend.
+const TREND_WINDOW_MS = 20 * 60 * 1000;      // Fit the trend over the last 20 minutes
+const HISTORY_WINDOW_MS = 60 * 60 * 1000;    // Keep (and restore on startup) one hour of readings
+const TREND_MIN_READINGS = 3;                // Fewer points than this can't give a trend
+const TREND_SLOPE_THRESHOLD = 0.2;           // Vehicles per minute, per direction
+const TREND_OVERALL_SLOPE_THRESHOLD = 0.3;   // Vehicles per minute, both directions together
+const TREND_MIN_FIT = 0.3;                   // r² below this = too noisy to call a trend
+
+// Least-squares fit of y against x. Resolves slope, intercept and r².
+function linearRegression(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
   
-  // Add a new reading
-  addReading(bridgeCounts, canopyCounts = null) {
-    const reading = {
-      timestamp: Date.now(),
-      bridge: bridgeCounts ? {
-        lsToSa: bridgeCounts.LS_to_SA || 0,
-        saToLs: bridgeCounts.SA_to_LS || 0,
-        total: bridgeCounts.total || 0
-      } : null,
-      canopy: canopyCounts ? {
-        saToLsQueue: canopyCounts.SA_to_LS_queue || 0,
-        lsToSaArea: canopyCounts.LS_to_SA_area || 0,
-        total: canopyCounts.total || 0
-      } : null
-    };
-    
-    this.readings.push(reading);
-    
-    // Keep only recent readings
-    if (this.readings.length > this.MAX_HISTORY) {
-      this.readings = this.readings.slice(-this.MAX_HISTORY);
-    }
-    
-    console.log(`📈 Traffic history: ${this.readings.length} readings`);
-  },
+  let sxx = 0, sxy = 0, syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
   
-  // Analyze trends over recent readings
-  analyzeTrends() {
-    if (this.readings.length < 2) {
-      return { trend: 'unknown', confidence: 'low', message: 'Not enough data yet' };
-    }
-    
-    const recentReadings = this.readings.slice(-this.TREND_WINDOW);
-    const oldestReading = recentReadings[0];
-    const newestReading = recentReadings[recentReadings.length - 1];
-    const timeDiffMinutes = (newestReading.timestamp - oldestReading.timestamp) / 60000;
-    
-    // Calculate changes in bridge counts
-    let trendInfo = {
-      lsToSa: { trend: 'stable', change: 0 },
-      saToLs: { trend: 'stable', change: 0 },
-      overall: 'stable',
-      flowSpeed: 'normal',
-      confidence: this.readings.length >= 5 ? 'high' : 'medium',
-      timePeriod: Math.round(timeDiffMinutes)
-    };
-    
-    if (oldestReading.bridge && newestReading.bridge) {
-      // LS→SA trend
-      const lsToSaChange = newestReading.bridge.lsToSa - oldestReading.bridge.lsToSa;
-      trendInfo.lsToSa.change = lsToSaChange;
-      if (lsToSaChange > 2) trendInfo.lsToSa.trend = 'increasing';
-      else if (lsToSaChange < -2) trendInfo.lsToSa.trend = 'decreasing';
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = meanY - slope * meanX;
+  // All counts equal → perfectly flat, which the line fits exactly
+  const r2 = syy > 0 ? (sxy * sxy) / (sxx * syy) : 1;
+  
+  return { slope, intercept, r2: Number.isFinite(r2) ? r2 : 0 };
+}
+
+// Trend of one series of { minutes, count } points
+function describeSeriesTrend(points, slopeThreshold, labels = { up: 'building_up', down: 'clearing' }) {
+  const fit = linearRegression(points.map(p => ({ x: p.minutes, y: p.count })));
+  const span = points[points.length - 1].minutes - points[0].minutes;
+  
+  let trend = 'stable';
+  if (fit.r2 >= TREND_MIN_FIT) {
+    if (fit.slope >= slopeThreshold) trend = labels.up;
+    else if (fit.slope <= -slopeThreshold) trend = labels.down;
+  }
+  
+  return {
+    trend,
+    slope: Math.round(fit.slope * 100) / 100,          // Vehicles per minute
+    change: Math.round(fit.slope * span),               // Fitted change over the window
+    current: Math.round((fit.intercept + fit.slope * points[points.length - 1].minutes) * 10) / 10,
+    fit: Math.round(fit.r2 * 100) / 100,
+  };
+}
+
+function createTrafficHistory() {
+  return {
+    readings: [],           // Array of { timestamp, bridge, canopy } - one per detected frame
+    MAX_HISTORY: 60,        // Fed at capture time; HISTORY_WINDOW_MS caps it too
+  
+    // Add a new reading (timestamp is the frame's capture time)
+    addReading(bridgeCounts, canopyCounts = null, timestamp = Date.now()) {
+      this.insert(bridgeCounts, canopyCounts, timestamp);
+      console.log(`📈 Traffic history: ${this.readings.length} readings`);
+    },
+    
+    insert(bridgeCounts, canopyCounts, timestamp) {
+      const reading = {
+        timestamp,
+        bridge: bridgeCounts ? {
+          lsToSa: bridgeCounts.LS_to_SA || 0,
+          saToLs: bridgeCounts.SA_to_LS || 0,
+          total: bridgeCounts.total || 0
+        } : null,
+        canopy: canopyCounts ? {
+          saToLsQueue: canopyCounts.SA_to_LS_queue || 0,
+          lsToSaArea: canopyCounts.LS_to_SA_area || 0,
+          total: canopyCounts.total || 0
+        } : null
+      };
+      
+      // Frames can finish detection out of order - keep readings sorted by capture time
+      let index = this.readings.length;
+      while (index > 0 && this.readings[index - 1].timestamp > timestamp) index--;
+      this.readings.splice(index, 0, reading);
+      
+      // Keep only recent readings
+      const cutoff = Date.now() - HISTORY_WINDOW_MS;
+      this.readings = this.readings.filter(r => r.timestamp >= cutoff).slice(-this.MAX_HISTORY);
+    },
+  
+    // Analyze trends over recent readings
+    analyzeTrends(now = Date.now()) {
+      // Direction trends come from the bridge view; canopy readings don't count here
+      const bridgeReadings = this.readings.filter(r => r.bridge && r.timestamp >= now - TREND_WINDOW_MS);
+      if (bridgeReadings.length < TREND_MIN_READINGS) {
+        return { trend: 'unknown', confidence: 'low', message: 'Not enough data yet', readings: bridgeReadings.length };
+      }
+      
+      // Minutes relative to the first reading keep the regression well-conditioned
+      const start = bridgeReadings[0].timestamp;
+      const series = (pick) => bridgeReadings.map(r => ({ minutes: (r.timestamp - start) / 60000, count: pick(r.bridge) }));
+      const timeSpanMinutes = (bridgeReadings[bridgeReadings.length - 1].timestamp - start) / 60000;
       
-      // SA→LS trend
-      const saToLsChange = newestReading.bridge.saToLs - oldestReading.bridge.saToLs;
-      trendInfo.saToLs.change = saToLsChange;
-      if (saToLsChange > 2) trendInfo.saToLs.trend = 'increasing';
-      else if (saToLsChange < -2) trendInfo.saToLs.trend = 'decreasing';
+      if (timeSpanMinutes < 1) {
+        return { trend: 'unknown', confidence: 'low', message: 'Readings too close together', readings: bridgeReadings.length };
+      }
+      
+      const total = describeSeriesTrend(series(b => b.total), TREND_OVERALL_SLOPE_THRESHOLD);
       
-      // Overall trend
-      const totalChange = lsToSaChange + saToLsChange;
-      if (totalChange > 3) trendInfo.overall = 'building_up';
-      else if (totalChange < -3) trendInfo.overall = 'clearing';
+      const trendInfo = {
+        lsToSa: describeSeriesTrend(series(b => b.lsToSa), TREND_SLOPE_THRESHOLD),
+        saToLs: describeSeriesTrend(series(b => b.saToLs), TREND_SLOPE_THRESHOLD),
+        overall: total.trend,
+        overallSlope: total.slope,
+        flowSpeed: 'normal',
+        confidence: bridgeReadings.length >= 5 && timeSpanMinutes >= 10 ? 'high' : 'medium',
+        timePeriod: Math.round(timeSpanMinutes),
+        readings: bridgeReadings.length
+      };
       
       // Flow speed estimation
       // If counts are consistently high, traffic is slow/stuck
       // If counts fluctuate, traffic is moving
-      const avgTotal = recentReadings.reduce((sum, r) => sum + (r.bridge?.total || 0), 0) / recentReadings.length;
-      const variance = recentReadings.reduce((sum, r) => {
-        const diff = (r.bridge?.total || 0) - avgTotal;
-        return sum + (diff * diff);
-      }, 0) / recentReadings.length;
+      const totals = bridgeReadings.map(r => r.bridge.total);
+      const avgTotal = totals.reduce((sum, t) => sum + t, 0) / totals.length;
+      const variance = totals.reduce((sum, t) => sum + (t - avgTotal) ** 2, 0) / totals.length;
       
-      if (avgTotal > 10 && variance < 2) {
-        trendInfo.flowSpeed = 'slow';
-      } else if (avgTotal > 15 && variance < 3) {
+      // Most severe first, otherwise 'slow' swallows every 'very_slow' case
+      if (avgTotal > 15 && variance < 3) {
         trendInfo.flowSpeed = 'very_slow';
+      } else if (avgTotal > 10 && variance < 2) {
+        trendInfo.flowSpeed = 'slow';
       } else if (variance > 5) {
         trendInfo.flowSpeed = 'moving_well';
       }
-    }
-    
-    return trendInfo;
-  },
+      
+      return trendInfo;
+    },
   
-  // Get human-readable trend summary
-  getTrendSummary() {
-    const trends = this.analyzeTrends();
+    // Get human-readable trend summary
+    getTrendSummary() {
+      const trends = this.analyzeTrends();
     
-    if (trends.trend === 'unknown') {
-      return '';
-    }
+      if (trends.trend === 'unknown') {
+        return '';
+      }
     
-    let summary = [];
+      let summary = [];
+      const rate = (slope) => `${slope > 0 ? '+' : ''}${slope} vehicles/min`;
     
-    // Flow speed
-    if (trends.flowSpeed === 'slow') {
-      summary.push('Traffic appears to be moving slowly');
-    } else if (trends.flowSpeed === 'very_slow') {
-      summary.push('Traffic appears stuck or very slow');
-    } else if (trends.flowSpeed === 'moving_well') {
-      summary.push('Traffic is flowing steadily');
-    }
+      // Flow speed
+      if (trends.flowSpeed === 'slow') {
+        summary.push('Traffic appears to be moving slowly');
+      } else if (trends.flowSpeed === 'very_slow') {
+        summary.push('Traffic appears stuck or very slow');
+      } else if (trends.flowSpeed === 'moving_well') {
+        summary.push('Traffic is flowing steadily');
+      }
     
-    // Direction-specific trends
-    if (trends.lsToSa.trend === 'increasing') {
-      summary.push('LS→SA queue is building up');
-    } else if (trends.lsToSa.trend === 'decreasing') {
-      summary.push('LS→SA queue is clearing');
-    }
+      // Direction-specific trends
+      if (trends.lsToSa.trend === 'building_up') {
+        summary.push(`LS→SA queue is building up (${rate(trends.lsToSa.slope)})`);
+      } else if (trends.lsToSa.trend === 'clearing') {
+        summary.push(`LS→SA queue is clearing (${rate(trends.lsToSa.slope)})`);
+      }
     
-    if (trends.saToLs.trend === 'increasing') {
-      summary.push('SA→LS queue is building up');
-    } else if (trends.saToLs.trend === 'decreasing') {
-      summary.push('SA→LS queue is clearing');
+      if (trends.saToLs.trend === 'building_up') {
+        summary.push(`SA→LS queue is building up (${rate(trends.saToLs.slope)})`);
+      } else if (trends.saToLs.trend === 'clearing') {
+        summary.push(`SA→LS queue is clearing (${rate(trends.saToLs.slope)})`);
+      }
+    
+      // Overall
+      if (trends.overall === 'building_up' && summary.length === 0) {
+        summary.push('Traffic is building up overall');
+      } else if (trends.overall === 'clearing' && summary.length === 0) {
+        summary.push('Traffic is clearing overall');
+      }
+    
+      if (summary.length > 0 && trends.confidence === 'high') {
+        return summary.join('. ') + ` (based on last ${trends.timePeriod} minutes)`;
+      } else if (summary.length > 0) {
+        return summary.join('. ');
+      }
+    
+      return '';
     }
+  };
+}
+
+// Refill every camera's traffic history from vehicle_counts so trends
+// survive a restart
+async function loadTrafficHistoryFromDB() {
+  if (!supabase) return;
+  
+  try {
+    const { data, error } = await supabase
+      .from('vehicle_counts')
+      .select('camera_id, angle_type, frame_timestamp, counts')
+      .in('angle_type', [ANGLE_TYPES.BRIDGE, ANGLE_TYPES.PROCESSING])
+      .gte('frame_timestamp', new Date(Date.now() - HISTORY_WINDOW_MS).toISOString())
+      .order('frame_timestamp', { ascending: true });
     
-    // Overall
-    if (trends.overall === 'building_up' && summary.length === 0) {
-      summary.push('Traffic is building up overall');
-    } else if (trends.overall === 'clearing' && summary.length === 0) {
-      summary.push('Traffic is clearing overall');
+    if (error) {
+      console.error('❌ Failed to load traffic history:', error.message);
+      return;
     }
     
-    if (summary.length > 0 && trends.confidence === 'high') {
-      return summary.join('. ') + ` (based on last ${trends.timePeriod} minutes)`;
-    } else if (summary.length > 0) {
-      return summary.join('. ');
+    for (const row of data || []) {
+      const camera = getCamera(row.camera_id);
+      if (!camera || !row.counts) continue;
+      
+      const timestamp = new Date(row.frame_timestamp).getTime();
+      if (row.angle_type === ANGLE_TYPES.BRIDGE) {
+        camera.trafficHistory.insert(row.counts, null, timestamp);
+      } else {
+        camera.trafficHistory.insert(null, row.counts, timestamp);
+      }
     }
     
-    return '';
+    for (const camera of cameras.values()) {
+      if (camera.trafficHistory.readings.length > 0) {
+        console.log(`📈 [${camera.id}] Restored ${camera.trafficHistory.readings.length} traffic history readings`);
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error loading traffic history:', err.message);
   }
-};
-
-// Buffer to store multiple screenshots with timestamps and angle classification
-let screenshotBuffer = [];
-let latestAnalysis = null;
-let lastAnalysisTime = 0;
-let isCapturing = false;
-let isClassifying = false;
+}
 
 // =============================================
-// CAMERA STATUS TRACKING
+// CONGESTION THRESHOLDS (per camera, per direction)
 // =============================================
-// Detects: camera down, stuck on one angle
-const cameraStatus = {
-  consecutiveFailures: 0,
-  angleHistory: [],              // Last N classifications
-  lastSuccessfulCapture: null,
-  status: 'operational',         // 'operational', 'stuck_on_angle', 'down'
-  stuckAngle: null,
-  
-  // Thresholds
-  FAILURE_THRESHOLD: 3,          // 3 failures = camera down
-  STUCK_THRESHOLD: 10,           // 10 same angles in a row = stuck
-  HISTORY_SIZE: 15,              // Track last 15 classifications
+// Combined (bridge + canopy) counts map to LIGHT / MODERATE / HEAVY using
+// per-direction limits. SEVERE comes from an optional count limit, the
+// Engen queue (the queue has backed up past the wide view) and a rising
+// trend on an already HEAVY direction. Time-of-day baselines scale the
+// count limits for hours where more vehicles are normal.
+// Overrides are stored per camera in Supabase (traffic_thresholds) and
+// edited through /api/admin/thresholds - no redeploy needed.
+
+const TRAFFIC_LEVELS = ['LIGHT', 'MODERATE', 'HEAVY', 'SEVERE'];
+const DIRECTIONS = ['lsToSa', 'saToLs'];
+
+const DEFAULT_THRESHOLDS = {
+  lsToSa: { light: 3, moderate: 8, severe: null }, // severe: count at or above which it's SEVERE (null = off)
+  saToLs: { light: 3, moderate: 8, severe: null },
+  severeRule: {
+    engenQueueDirection: 'lsToSa',   // Direction whose queue reaches Engen (null = ignore Engen)
+    engenMinLevel: 'MODERATE',       // Engen queue only escalates if counts show at least this
+    escalateRisingHeavy: true,       // HEAVY + increasing trend → SEVERE
+  },
+  // e.g. [{ from: 6, to: 9, days: [1, 2, 3, 4, 5], factor: 1.5, label: 'weekday morning rush' }]
+  timeOfDay: [],
 };
 
-function updateCameraStatus() {
-  // Check for camera down
-  if (cameraStatus.consecutiveFailures >= cameraStatus.FAILURE_THRESHOLD) {
-    cameraStatus.status = 'down';
-    cameraStatus.stuckAngle = null;
-    console.log('🔴 Camera status: DOWN');
-    return;
+function cloneThresholds(thresholds) {
+  return JSON.parse(JSON.stringify(thresholds));
+}
+
+// Merge a (partial) override onto the defaults
+function mergeThresholds(overrides = {}) {
+  const merged = cloneThresholds(DEFAULT_THRESHOLDS);
+  for (const direction of DIRECTIONS) {
+    Object.assign(merged[direction], overrides[direction] || {});
   }
+  Object.assign(merged.severeRule, overrides.severeRule || {});
+  if (Array.isArray(overrides.timeOfDay)) merged.timeOfDay = overrides.timeOfDay;
+  return merged;
+}
+
+// Returns an error message, or null if the thresholds are usable
+function validateThresholds(thresholds) {
+  const isCount = (n) => Number.isFinite(n) && n >= 0;
   
-  // Check for stuck angle (only if we have enough history)
-  if (cameraStatus.angleHistory.length >= cameraStatus.STUCK_THRESHOLD) {
-    const recentAngles = cameraStatus.angleHistory.slice(-cameraStatus.STUCK_THRESHOLD);
-    const uniqueAngles = [...new Set(recentAngles.filter(a => a !== 'useless'))];
-    
-    if (uniqueAngles.length === 1) {
-      cameraStatus.status = 'stuck_on_angle';
-      cameraStatus.stuckAngle = uniqueAngles[0];
-      console.log(`📷 Camera status: STUCK on ${cameraStatus.stuckAngle}`);
-      return;
-    }
+  for (const direction of DIRECTIONS) {
+    const { light, moderate, severe } = thresholds[direction];
+    if (!isCount(light) || !isCount(moderate)) return `${direction}: light and moderate must be non-negative numbers`;
+    if (light >= moderate) return `${direction}: light must be below moderate`;
+    if (severe !== null && (!isCount(severe) || severe <= moderate)) return `${direction}: severe must be null or above moderate`;
   }
   
-  // Otherwise operational
-  cameraStatus.status = 'operational';
-  cameraStatus.stuckAngle = null;
+  const { engenQueueDirection, engenMinLevel } = thresholds.severeRule;
+  if (engenQueueDirection !== null && !DIRECTIONS.includes(engenQueueDirection)) {
+    return `severeRule.engenQueueDirection must be one of ${DIRECTIONS.join(', ')} or null`;
+  }
+  if (!TRAFFIC_LEVELS.includes(engenMinLevel)) {
+    return `severeRule.engenMinLevel must be one of ${TRAFFIC_LEVELS.join(', ')}`;
+  }
+  
+  for (const [i, window] of thresholds.timeOfDay.entries()) {
+    const validHour = (h) => Number.isInteger(h) && h >= 0 && h <= 24;
+    if (!validHour(window.from) || !validHour(window.to) || window.from >= window.to) {
+      return `timeOfDay[${i}]: from/to must be whole hours with from < to`;
+    }
+    if (!(window.factor > 0)) return `timeOfDay[${i}]: factor must be positive`;
+    if (window.days && !(Array.isArray(window.days) && window.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      return `timeOfDay[${i}]: days must be weekday numbers 0 (Sun) - 6 (Sat)`;
+    }
+  }
+  return null;
 }
 
-function recordCaptureSuccess(angleType) {
-  cameraStatus.consecutiveFailures = 0;
-  cameraStatus.lastSuccessfulCapture = Date.now();
+// Thresholds in force at a given time (time-of-day baseline applied)
+function getEffectiveThresholds(camera, at = new Date()) {
+  const thresholds = camera.thresholds;
+  const hour = at.getHours();
+  const day = at.getDay();
+  const baseline = thresholds.timeOfDay.find(w =>
+    hour >= w.from && hour < w.to && (!w.days || w.days.includes(day))
+  );
   
-  // Add to angle history (skip useless frames for stuck detection)
-  cameraStatus.angleHistory.push(angleType);
-  if (cameraStatus.angleHistory.length > cameraStatus.HISTORY_SIZE) {
-    cameraStatus.angleHistory.shift();
+  if (!baseline) {
+    return { ...thresholds, baseline: null };
   }
   
-  updateCameraStatus();
-}
-
-function recordCaptureFailure() {
-  cameraStatus.consecutiveFailures++;
-  console.log(`⚠️ Capture failure #${cameraStatus.consecutiveFailures}`);
-  updateCameraStatus();
+  const scale = (n) => n === null ? null : Math.round(n * baseline.factor);
+  const effective = { ...thresholds, baseline };
+  for (const direction of DIRECTIONS) {
+    const { light, moderate, severe } = thresholds[direction];
+    effective[direction] = { light: scale(light), moderate: scale(moderate), severe: scale(severe) };
+  }
+  return effective;
 }
 
-function getCameraStatusInfo() {
-  const info = {
-    status: cameraStatus.status,
-    stuckAngle: cameraStatus.stuckAngle,
-    lastSuccessfulCapture: cameraStatus.lastSuccessfulCapture,
-    consecutiveFailures: cameraStatus.consecutiveFailures,
-  };
+// Level for one direction from its combined count.
+// Resolves to { level, reason } - reason says why it is SEVERE (or null).
+function classifyDirectionLevel(thresholds, direction, count, { engenQueueDetected = false, trend = null } = {}) {
+  const limits = thresholds[direction];
+  const rule = thresholds.severeRule;
   
-  // Generate user-friendly message
-  if (cameraStatus.status === 'down') {
-    const downTime = cameraStatus.lastSuccessfulCapture 
-      ? Math.round((Date.now() - cameraStatus.lastSuccessfulCapture) / 60000)
-      : null;
-    info.message = `🔴 Camera feed unavailable${downTime ? ` for ${downTime} minutes` : ''}. Please check back later or contact border control for current conditions.`;
-  } else if (cameraStatus.status === 'stuck_on_angle') {
-    const angleNames = {
-      'bridge': 'bridge view',
-      'processing': 'processing area',
-      'wide': 'wide/Engen view'
-    };
-    const angleName = angleNames[cameraStatus.stuckAngle] || cameraStatus.stuckAngle;
-    info.message = `📷 Camera currently showing ${angleName} only. Other areas may not be visible.`;
-  } else {
-    info.message = null; // No alert needed
+  let level;
+  if (count <= limits.light) level = 'LIGHT';
+  else if (count <= limits.moderate) level = 'MODERATE';
+  else level = 'HEAVY';
+  
+  if (limits.severe !== null && count >= limits.severe) {
+    return { level: 'SEVERE', reason: `${count} vehicles (limit ${limits.severe})` };
+  }
+  if (engenQueueDetected && rule.engenQueueDirection === direction &&
+      TRAFFIC_LEVELS.indexOf(level) >= TRAFFIC_LEVELS.indexOf(rule.engenMinLevel)) {
+    return { level: 'SEVERE', reason: 'queue past Engen' };
+  }
+  if (rule.escalateRisingHeavy && level === 'HEAVY' && trend?.[direction]?.trend === 'building_up') {
+    return { level: 'SEVERE', reason: 'heavy and still building' };
   }
   
-  return info;
+  return { level, reason: null };
 }
 
-// Maximum age for frames to be considered valid (10 minutes)
-const MAX_FRAME_AGE_MS = 45 * 60 * 1000; // 45 minutes - camera cycles angles slowly
+// Load stored threshold overrides for every camera
+async function loadThresholdsFromDB() {
+  if (!supabase) return;
+  
+  try {
+    const { data, error } = await supabase
+      .from('traffic_thresholds')
+      .select('*');
+    
+    if (error) {
+      console.error('❌ Failed to load thresholds:', error.message);
+      return;
+    }
+    
+    for (const row of data || []) {
+      const camera = getCamera(row.camera_id);
+      if (!camera) continue;
+      
+      const thresholds = mergeThresholds({ ...camera.thresholdDefaults, ...row.thresholds });
+      const problem = validateThresholds(thresholds);
+      if (problem) {
+        console.log(`⚠️ [${camera.id}] Ignoring stored thresholds: ${problem}`);
+        continue;
+      }
+      camera.thresholds = thresholds;
+      console.log(`🎚️ [${camera.id}] Loaded custom traffic thresholds`);
+    }
+  } catch (err) {
+    console.error('❌ Error loading thresholds:', err.message);
+  }
+}
 
-// Helper function to check if a frame is still fresh
-function isFrameFresh(frame) {
-  if (!frame || !frame.timestamp) return false;
-  const frameAge = Date.now() - new Date(frame.timestamp).getTime();
-  return frameAge <= MAX_FRAME_AGE_MS;
+// Persist a camera's thresholds (null = back to defaults)
+async function saveThresholds(cameraId, thresholds) {
+  if (!supabase) return;
+  
+  const { error } = thresholds
+    ? await supabase
+        .from('traffic_thresholds')
+        .upsert({ camera_id: cameraId, thresholds, updated_at: new Date().toISOString() }, { onConflict: 'camera_id' })
+    : await supabase
+        .from('traffic_thresholds')
+        .delete()
+        .eq('camera_id', cameraId);
+  
+  if (error) {
+    throw new Error(error.message);
+  }
 }
 
 // =============================================
-// RESPONSE CACHE SYSTEM
+// BORDER OPERATING HOURS
 // =============================================
-// Cache common question responses to serve instantly
-const responseCache = {
-  status: null,      // "how's traffic", "current status"
-  good_time: null,   // "good time to cross", "should I go"
-  queue: null,       // "how long is the queue"
-  ls_to_sa: null,    // "going from LS to SA"
-  sa_to_ls: null,    // "coming from SA to LS"
+// Weekly schedule plus per-date exceptions (holiday extensions, closures).
+// While the border is closed /api/status and traffic questions answer
+// "border closed, opens in X" without calling the model, and the
+// background loop only captures every CLOSED_CAPTURE_INTERVAL.
+// Overrides are stored per camera in Supabase (operating_hours) and edited
+// through /api/admin/operating-hours.
+// Times are wall-clock at the post (the camera's timeZone, config.timeZone by
+// default), not the host's - Render runs in UTC.
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CLOSED_CAPTURE_INTERVAL = 15 * 60 * 1000; // Keep an eye on the camera while closed
+
+const DEFAULT_OPERATING_HOURS = {
+  // null = closed all day; '24:00' closes at midnight
+  weekly: {
+    sun: { open: '06:00', close: '22:00' },
+    mon: { open: '06:00', close: '22:00' },
+    tue: { open: '06:00', close: '22:00' },
+    wed: { open: '06:00', close: '22:00' },
+    thu: { open: '06:00', close: '22:00' },
+    fri: { open: '06:00', close: '22:00' },
+    sat: { open: '06:00', close: '22:00' },
+  },
+  // e.g. [{ date: '2026-12-24', open: '00:00', close: '24:00', note: 'Open 24 hours for Christmas' }]
+  //      [{ date: '2026-10-04', closed: true, note: 'Closed for maintenance' }]
+  exceptions: [],
 };
 
-const CACHE_TTL = 120000; // 2 minutes in milliseconds
+function mergeOperatingHours(overrides = {}) {
+  return {
+    weekly: { ...DEFAULT_OPERATING_HOURS.weekly, ...overrides.weekly },
+    exceptions: Array.isArray(overrides.exceptions) ? overrides.exceptions : [],
+  };
+}
 
-// Categorize a question to determine cache key
-function categorizeQuestion(question) {
-  const q = question.toLowerCase().trim();
-  
-  // Direction-specific questions
-  if (q.match(/from\s*(ls|lesotho)|to\s*(sa|south\s*africa)|ls\s*(to|→)/i) && 
-      !q.match(/from\s*(sa|south\s*africa)/i)) {
-    return 'ls_to_sa';
-  }
-  if (q.match(/from\s*(sa|south\s*africa)|to\s*(ls|lesotho)|sa\s*(to|→)/i) && 
-      !q.match(/from\s*(ls|lesotho)/i)) {
-    return 'sa_to_ls';
-  }
-  
-  // Good time questions
-  if (q.match(/good\s*time|should\s*i\s*(go|cross)|best\s*time|right\s*time|okay\s*to\s*cross|safe\s*to\s*cross/i)) {
-    return 'good_time';
-  }
+// 'HH:MM' → minutes since midnight (null if malformed)
+function parseClockTime(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// Returns an error message, or null if the schedule is usable
+function validateOperatingHours(schedule) {
+  const checkHours = (hours, where) => {
+    if (hours === null) return null;
+    const open = parseClockTime(hours.open);
+    const close = parseClockTime(hours.close);
+    if (open === null || close === null) return `${where}: open/close must be HH:MM`;
+    if (open >= close) return `${where}: open must be before close`;
+    return null;
+  };
   
-  // Queue questions
-  if (q.match(/queue|line|wait|waiting|backed|backup|long/i) && 
-      !q.match(/how.*(traffic|busy|status)/i)) {
-    return 'queue';
+  for (const day of WEEKDAY_KEYS) {
+    if (schedule.weekly[day] === undefined) return `weekly.${day} is missing`;
+    const problem = checkHours(schedule.weekly[day], `weekly.${day}`);
+    if (problem) return problem;
   }
   
-  // General status questions (most common)
-  if (q.match(/status|traffic|busy|current|now|right\s*now|at\s*the\s*moment|how.*(is|are)|what.*(is|like)/i)) {
-    return 'status';
+  for (const [i, exception] of schedule.exceptions.entries()) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(exception.date || '')) return `exceptions[${i}]: date must be YYYY-MM-DD`;
+    if (!exception.closed) {
+      const problem = checkHours(exception, `exceptions[${i}]`);
+      if (problem) return problem;
+    }
   }
-  
-  // No cache for off-topic or unique questions
   return null;
 }
 
-// Check if cached response is still valid
-function getCachedResponse(category) {
-  if (!category || !responseCache[category]) return null;
-  
-  const cached = responseCache[category];
-  const age = Date.now() - cached.timestamp;
-  
-  if (age < CACHE_TTL) {
-    console.log(`✅ Cache HIT for "${category}" (${Math.round(age/1000)}s old)`);
-    return cached;
+const zonedTimeFormats = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
   }
-  
-  console.log(`⏰ Cache EXPIRED for "${category}" (${Math.round(age/1000)}s old)`);
-  return null;
 }
 
-// Store response in cache
-function cacheResponse(category, response, frameTimestamp) {
-  if (!category) return;
-  
-  responseCache[category] = {
-    response: response,
-    frameTimestamp: frameTimestamp,
-    timestamp: Date.now()
+// Wall clock of a moment in a time zone: { dateKey, day (0 = Sunday), minutes since midnight, clock 'HH:MM' }
+function getZonedTime(date, timeZone) {
+  if (!zonedTimeFormats.has(timeZone)) {
+    zonedTimeFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }));
+  }
+  const parts = Object.fromEntries(
+    zonedTimeFormats.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    day: WEEKDAY_KEYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    clock: `${parts.hour}:${parts.minute}`,
   };
+}
+
+// Opening hours on a given (zoned) day: { hours: { open, close } in minutes or null when closed all day, note }
+function getDayHours(schedule, zoned) {
+  const exception = schedule.exceptions.find(e => e.date === zoned.dateKey);
+  const hours = exception
+    ? (exception.closed ? null : exception)
+    : schedule.weekly[WEEKDAY_KEYS[zoned.day]];
   
-  console.log(`💾 Cached response for "${category}"`);
+  return {
+    hours: hours ? { open: parseClockTime(hours.open), close: parseClockTime(hours.close) } : null,
+    note: exception?.note || null,
+  };
 }
 
-// Preserved frames - one for each angle, never evicted
-let preservedFrames = {
-  bridge: null,
-  processing: null,
-  wide: null
-};
+// The moment the post's clock reads `minutes` on the same (zoned) day as date
+function atMinutes(date, minutes, timeZone) {
+  const minuteStart = Math.floor(date.getTime() / 60000) * 60000;
+  return new Date(minuteStart + (minutes - getZonedTime(date, timeZone).minutes) * 60000);
+}
 
-// Angle types
-const ANGLE_TYPES = {
-  BRIDGE: 'bridge',           // View of the bridge showing both lanes
-  WIDE: 'wide',               // Wide view showing ENGEN, road to bridge
-  PROCESSING: 'processing',   // Processing area with curved roof
-  USELESS: 'useless'          // Trees, darkness, no useful info
-};
+// "2h 15m" / "40 min"
+function formatDuration(minutes) {
+  const rounded = Math.max(1, Math.round(minutes));
+  if (rounded < 60) return `${rounded} min`;
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
 
-// =============================================
-// SUPABASE HELPER FUNCTIONS
-// =============================================
+function isBorderOpenAt(camera, date) {
+  const zoned = getZonedTime(date, camera.timeZone);
+  const { hours } = getDayHours(camera.operatingHours, zoned);
+  return !!hours && zoned.minutes >= hours.open && zoned.minutes < hours.close;
+}
 
-// Upload frame to Supabase Storage
-async function uploadFrameToStorage(imageBuffer, angleType, timestamp) {
-  if (!supabase) return null;
+// Is the border open right now, and when does that change?
+function getBorderState(camera, now = new Date()) {
+  const schedule = camera.operatingHours;
+  const zonedNow = getZonedTime(now, camera.timeZone);
+  const minutesNow = zonedNow.minutes;
+  const today = getDayHours(schedule, zonedNow);
   
-  try {
-    const fileName = `${angleType}/${timestamp}.jpg`;
-    
-    console.log(`📤 Uploading ${angleType} frame to Supabase...`);
-    
-    const { data, error } = await supabase.storage
-      .from('frames')
-      .upload(fileName, imageBuffer, {
-        contentType: 'image/jpeg',
-        upsert: true
-      });
-    
-    if (error) {
-      console.error('❌ Storage upload error:', error.message);
-      return null;
-    }
-    
-    // Get public URL
-    const { data: urlData } = supabase.storage
-      .from('frames')
-      .getPublicUrl(fileName);
-    
-    console.log(`✅ Uploaded ${angleType} frame to Supabase: ${fileName}`);
-    return urlData?.publicUrl || fileName;
-  } catch (err) {
-    console.error('❌ Storage upload failed:', err.message);
-    return null;
+  if (today.hours && minutesNow >= today.hours.open && minutesNow < today.hours.close) {
+    const closesAt = atMinutes(now, today.hours.close, camera.timeZone);
+    return {
+      open: true,
+      closesAt: closesAt.toISOString(),
+      closesIn: formatDuration((closesAt - now) / 60000),
+      opensAt: null,
+      opensIn: null,
+      note: today.note,
+    };
   }
-}
-
-// Log frame to history table (keeps 7 days of history)
-async function logFrameHistory(angleType, framePath, timestamp) {
-  if (!supabase) return;
   
-  try {
-    const { error } = await supabase
-      .from('frame_history')
-      .insert({
-        angle_type: angleType,
-        frame_path: framePath,
-        timestamp: new Date(timestamp).toISOString()
-      });
-    
-    if (error) {
-      console.error('❌ Failed to log frame history:', error.message);
-    }
-  } catch (err) {
-    console.error('❌ Frame history error:', err.message);
+  // Find the next opening (today later, or one of the next 7 days)
+  for (let i = 0; i <= 7; i++) {
+    const day = new Date(now.getTime() + i * 24 * 60 * 60 * 1000);
+    const { hours } = getDayHours(schedule, getZonedTime(day, camera.timeZone));
+    if (!hours) continue;
+    if (i === 0 && minutesNow >= hours.open) continue;
+    
+    const opensAt = atMinutes(day, hours.open, camera.timeZone);
+    return {
+      open: false,
+      closesAt: null,
+      closesIn: null,
+      opensAt: opensAt.toISOString(),
+      opensIn: formatDuration((opensAt - now) / 60000),
+      note: today.note,
+    };
   }
+  
+  return { open: false, closesAt: null, closesIn: null, opensAt: null, opensIn: null, note: today.note };
 }
 
-// Update preserved frame in database
-async function updatePreservedFrame(angleType, framePath, timestamp) {
-  if (!supabase) return;
+// "Daily 06:00-22:00" / per-day list when days differ
+function describeOperatingHours(schedule) {
+  const format = (hours) => hours ? `${hours.open}-${hours.close}` : 'closed';
+  const weekly = WEEKDAY_KEYS.map(day => format(schedule.weekly[day]));
+  if (weekly.every(h => h === weekly[0])) return `Daily ${weekly[0]}`;
+  return WEEKDAY_KEYS.map((day, i) => `${day[0].toUpperCase()}${day.slice(1)} ${weekly[i]}`).join(', ');
+}
+
+// Response used instead of a traffic analysis while the border is closed
+function buildClosedResponse(camera, border) {
+  const opening = border.opensAt
+    ? `It opens at ${getZonedTime(new Date(border.opensAt), camera.timeZone).clock} (in ${border.opensIn}).`
+    : 'No opening time is scheduled in the next week.';
   
-  try {
-    const { error } = await supabase
-      .from('preserved_frames')
-      .upsert({
-        angle_type: angleType,
-        frame_path: framePath,
-        timestamp: new Date(timestamp).toISOString(),
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'angle_type'
-      });
-    
-    if (error) {
-      console.error('❌ DB update error:', error.message);
-    }
-  } catch (err) {
-    console.error('❌ Failed to update preserved frame:', err.message);
-  }
+  return {
+    success: true,
+    camera: camera.id,
+    message: `**Border closed.** ${camera.name} is closed right now, so there's no traffic to report. ${opening}${border.note ? `\n\n${border.note}` : ''}`,
+    timestamp: new Date().toISOString(),
+    borderClosed: true,
+    border,
+    cached: false,
+  };
 }
 
-// Log traffic reading to database
-async function logTrafficReading(analysisResult, framesUsed, responseTimeMs) {
-  if (!supabase) {
-    console.log('⚠️ Supabase not connected, skipping traffic log');
-    return;
-  }
+// Closed-border reply for a request, or null if it should be analyzed as usual.
+// Off-topic, hours and timing questions still go to the model (which is told
+// the border is closed) - only traffic-level answers are replaced.
+function getClosedResponse(camera, userQuestion = null) {
+  const border = getBorderState(camera);
+  if (border.open) return null;
+  if (userQuestion && ['offtopic', 'info', 'timing'].includes(detectQuestionType(userQuestion))) return null;
+  return buildClosedResponse(camera, border);
+}
+
+// Border hours note for the system prompt
+function formatBorderHoursForPrompt(camera) {
+  const border = getBorderState(camera);
+  const state = border.open
+    ? `OPEN now, closes in ${border.closesIn}`
+    : `CLOSED now${border.opensIn ? `, opens in ${border.opensIn}` : ''} - do NOT report a traffic level, say the border is closed`;
   
-  try {
-    const message = analysisResult.message || '';
-    
-    console.log('📝 Attempting to log traffic reading...');
-    
-    // Extract status from direction boxes - multiple regex patterns for flexibility
-    let lsStatus = null, lsDetail = null, saStatus = null, saDetail = null;
-    
-    // Pattern 1: Standard format [LS_TO_SA] status: X detail: Y [/LS_TO_SA]
-    const lsMatch1 = message.match(/\[LS_TO_SA\][\s\S]*?status:\s*(\w+)[\s\S]*?detail:\s*([\s\S]*?)\[\/LS_TO_SA\]/i);
-    const saMatch1 = message.match(/\[SA_TO_LS\][\s\S]*?status:\s*(\w+)[\s\S]*?detail:\s*([\s\S]*?)\[\/SA_TO_LS\]/i);
-    
-    if (lsMatch1) {
-      lsStatus = lsMatch1[1];
-      lsDetail = lsMatch1[2];
-    }
-    if (saMatch1) {
-      saStatus = saMatch1[1];
-      saDetail = saMatch1[2];
-    }
-    
-    // Pattern 2: Look for status badges like "LIGHT" after direction headers
-    if (!lsStatus) {
-      const lsAlt = message.match(/Lesotho\s*→\s*South Africa[^]*?(LIGHT|MODERATE|HEAVY|SEVERE)/i);
-      if (lsAlt) lsStatus = lsAlt[1];
-    }
-    if (!saStatus) {
-      const saAlt = message.match(/South Africa\s*→\s*Lesotho[^]*?(LIGHT|MODERATE|HEAVY|SEVERE)/i);
-      if (saAlt) saStatus = saAlt[1];
-    }
-    
-    // Extract traffic summary and advice
-    const trafficMatch = message.match(/\*\*Traffic:\*\*\s*([^\n\[]+)/i);
-    const adviceMatch = message.match(/\*\*Advice:\*\*\s*([^\n⚠]+)/i);
-    
-    // For non-standard responses, try to extract a summary
-    let summary = trafficMatch ? trafficMatch[1].trim() : null;
-    if (!summary && message.length > 0) {
-      // Take first sentence as summary for non-standard responses
-      const firstSentence = message.match(/^[^.!?]*[.!?]/);
-      if (firstSentence) {
-        summary = firstSentence[0].trim().substring(0, 200);
-      }
-    }
-    
-    // Normalize status values to match CHECK constraint
-    const normalizeStatus = (status) => {
-      if (!status) return null;
-      const upper = status.toUpperCase().trim();
-      if (['LIGHT', 'MODERATE', 'HEAVY', 'SEVERE'].includes(upper)) {
-        return upper;
-      }
-      return null;
-    };
-    
-    const reading = {
-      timestamp: new Date().toISOString(),
-      traffic_summary: summary,
-      ls_to_sa_status: normalizeStatus(lsStatus),
-      ls_to_sa_detail: lsDetail ? lsDetail.trim() : null,
-      sa_to_ls_status: normalizeStatus(saStatus),
-      sa_to_ls_detail: saDetail ? saDetail.trim() : null,
-      advice: adviceMatch ? adviceMatch[1].trim() : null,
-      frames_used: framesUsed,
-      angles_available: framesUsed.map(f => f.angleType),
-      response_time_ms: responseTimeMs
-    };
-    
-    console.log('📊 Parsed reading:', JSON.stringify({
-      ls_status: reading.ls_to_sa_status,
-      sa_status: reading.sa_to_ls_status,
-      summary: reading.traffic_summary?.substring(0, 50)
-    }));
-    
-    const { data, error } = await supabase
-      .from('traffic_readings')
-      .insert(reading)
-      .select();
-    
-    if (error) {
-      console.error('❌ Failed to log reading:', error.message, error.details);
-    } else {
-      console.log('✅ Traffic reading logged to database, id:', data?.[0]?.id);
-    }
-  } catch (err) {
-    console.error('❌ Failed to log traffic reading:', err.message);
-  }
+  return `
+🕕 BORDER HOURS: ${describeOperatingHours(camera.operatingHours)} (${state})${border.note ? `\nNote: ${border.note}` : ''}
+`;
 }
 
-// Load preserved frames from database on startup
-async function loadPreservedFramesFromDB() {
+// Load stored operating-hours overrides for every camera
+async function loadOperatingHoursFromDB() {
   if (!supabase) return;
   
   try {
     const { data, error } = await supabase
-      .from('preserved_frames')
+      .from('operating_hours')
       .select('*');
     
     if (error) {
-      console.error('❌ Failed to load preserved frames:', error.message);
-      return;
-    }
-    
-    if (!data || data.length === 0) {
-      console.log('📷 No preserved frames in database yet');
+      console.error('❌ Failed to load operating hours:', error.message);
       return;
     }
     
-    // Download each preserved frame
-    for (const row of data) {
-      if (!row.frame_path) continue;
+    for (const row of data || []) {
+      const camera = getCamera(row.camera_id);
+      if (!camera) continue;
       
-      try {
-        // Download from storage
-        const { data: fileData, error: downloadError } = await supabase.storage
-          .from('frames')
-          .download(row.frame_path.replace(/^.*\/frames\//, ''));
-        
-        if (downloadError || !fileData) {
-          console.log(`⚠️ Could not download ${row.angle_type} frame`);
-          continue;
-        }
-        
-        // Convert to buffer
-        const arrayBuffer = await fileData.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-        
-        // Restore to memory
-        preservedFrames[row.angle_type] = {
-          screenshot: buffer,
-          timestamp: new Date(row.timestamp).getTime(),
-          angleType: row.angle_type
-        };
-        
-        console.log(`✅ Restored ${row.angle_type} frame from database`);
-      } catch (err) {
-        console.log(`⚠️ Error restoring ${row.angle_type}:`, err.message);
+      const schedule = mergeOperatingHours({ ...camera.operatingHoursDefaults, ...row.schedule });
+      const problem = validateOperatingHours(schedule);
+      if (problem) {
+        console.log(`⚠️ [${camera.id}] Ignoring stored operating hours: ${problem}`);
+        continue;
       }
+      camera.operatingHours = schedule;
+      console.log(`🕕 [${camera.id}] Loaded custom operating hours`);
     }
-    
-    const restored = Object.values(preservedFrames).filter(f => f !== null).length;
-    console.log(`📷 Restored ${restored}/3 preserved frames from database`);
-    
   } catch (err) {
-    console.error('❌ Failed to load preserved frames:', err.message);
+    console.error('❌ Error loading operating hours:', err.message);
   }
 }
 
-// Get typical traffic for current time (for predictions)
-async function getTypicalTraffic() {
-  if (!supabase) return null;
+// Persist a camera's schedule (null = back to defaults)
+async function saveOperatingHours(cameraId, schedule) {
+  if (!supabase) return;
   
-  try {
-    const { data, error } = await supabase.rpc('get_typical_traffic');
-    
-    if (error) {
-      console.error('❌ Failed to get typical traffic:', error.message);
-      return null;
-    }
-    
-    return data;
-  } catch (err) {
-    console.error('❌ Error getting typical traffic:', err.message);
-    return null;
+  const { error } = schedule
+    ? await supabase
+        .from('operating_hours')
+        .upsert({ camera_id: cameraId, schedule, updated_at: new Date().toISOString() }, { onConflict: 'camera_id' })
+    : await supabase
+        .from('operating_hours')
+        .delete()
+        .eq('camera_id', cameraId);
+  
+  if (error) {
+    throw new Error(error.message);
   }
 }
 
 // =============================================
-// END SUPABASE HELPER FUNCTIONS
-// =============================================
-
-// =============================================
-// BLUR DETECTION
+// CAMERA REGISTRY (multi-camera / multi-post)
 // =============================================
-// Detect motion blur by checking image file size
-// Blurry/motion-blur images compress much smaller than sharp images
+// Each camera has its own stream, angle taxonomy, buffer, preserved
+// frames and health status. Extra posts (Ficksburg, Van Rooyen's Gate...)
+// can be added with the EXTRA_CAMERAS env var as a JSON array of
+// { id, name, sourceType, source, angles, timeZone } using the same shape as below.
+// Extra cameras must use a source type createFrameSource() knows and a
+// subset of the angle keys the vision prompts are written for.
+
+const DEFAULT_CAMERA_ID = 'maseru';
+const FRAME_SOURCE_TYPES = ['hls', 'hls-oneshot', 'rtsp', 'file', 'directory'];
+const VISION_ANGLE_KEYS = ['bridge', 'wide', 'processing']; // See classifyFrameWithVision()
+
+const CAMERA_DEFINITIONS = [
+  {
+    id: DEFAULT_CAMERA_ID,
+    name: 'Maseru Bridge',
+    sourceType: config.frameSourceType,
+    source: config.frameSourceLocation,
+    angles: {
+      bridge: { label: 'Bridge', name: 'bridge view', detectorView: 'bridge' },
+      processing: { label: 'Canopy', name: 'processing area', detectorView: 'canopy', keywords: ['canopy', 'processing', 'booth', 'customs', 'immigration'] },
+      wide: { label: 'Engen', name: 'wide/Engen view', detectorView: 'engen', keywords: ['engen', 'garage', 'petrol', 'approach'] },
+    },
+  },
+];
 
-function isImageBlurry(imageBuffer) {
-  const sizeKB = imageBuffer.length / 1024;
-  
-  // Sharp 800px wide JPEGs from this camera are typically 50-120KB
-  // Blurry/motion-blur frames are typically 20-35KB
-  const BLUR_THRESHOLD_KB = 40;
+function loadExtraCameraDefinitions() {
+  if (!process.env.EXTRA_CAMERAS) return [];
   
-  if (sizeKB < BLUR_THRESHOLD_KB) {
-    console.log(`🌫️ Frame likely blurry (${sizeKB.toFixed(1)}KB < ${BLUR_THRESHOLD_KB}KB threshold) - SKIPPING`);
-    return true;
+  try {
+    const extra = JSON.parse(process.env.EXTRA_CAMERAS);
+    return extra.filter(def => {
+      if (!def.id || !def.source || !def.angles) {
+        console.error(`⚠️ Skipping camera definition without id/source/angles: ${JSON.stringify(def)}`);
+        return false;
+      }
+      if (def.sourceType !== undefined && !FRAME_SOURCE_TYPES.includes(def.sourceType)) {
+        console.error(`⚠️ Skipping camera "${def.id}": unknown sourceType "${def.sourceType}" (use ${FRAME_SOURCE_TYPES.join(', ')})`);
+        return false;
+      }
+      if (def.timeZone !== undefined && !isValidTimeZone(def.timeZone)) {
+        console.error(`⚠️ Skipping camera "${def.id}": unknown timeZone "${def.timeZone}"`);
+        return false;
+      }
+      const angleKeys = typeof def.angles === 'object' ? Object.keys(def.angles) : [];
+      const unsupported = angleKeys.filter(key => !VISION_ANGLE_KEYS.includes(key));
+      if (angleKeys.length === 0 || unsupported.length > 0) {
+        console.error(`⚠️ Skipping camera "${def.id}": unsupported angles ${unsupported.join(', ') || '(none)'} (use ${VISION_ANGLE_KEYS.join(', ')})`);
+        return false;
+      }
+      return true;
+    });
+  } catch (err) {
+    console.error('❌ Invalid EXTRA_CAMERAS JSON:', err.message);
+    return [];
   }
-  
-  return false;
 }
 
-// Classify frame angle using AI
-async function classifyFrameAngle(imageBuffer) {
-  if (isClassifying) return ANGLE_TYPES.USELESS;
+// Build the runtime state for one camera from its definition
+function createCamera(definition) {
+  const preservedFrames = {};
+  for (const angleType of Object.keys(definition.angles)) {
+    preservedFrames[angleType] = null; // One per angle, never evicted
+  }
   
-  isClassifying = true;
-  try {
-    const imageBase64 = imageBuffer.toString('base64');
-    
-    // STEP 0: Check if this is USELESS (trees/vegetation) FIRST
-    // Be aggressive - if we can't clearly see road/vehicles, it's useless
-    const uselessCheckResponse = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 10,
-      messages: [{
-        role: 'user',
-        content: [
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: 'image/jpeg',
-              data: imageBase64,
-            },
-          },
-          {
-            type: 'text',
-            text: `Can you see any of these in this image?
-- A ROAD where vehicles drive (even if empty)
-- A BRIDGE structure over water (look for railings, pillars, street lights in a row)
-- VEHICLES or a traffic queue
-- A GREEN METAL ROOF structure (canopy)
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    angles: definition.angles,
+    source: createFrameSource(definition.sourceType || 'hls', definition.source),
+    
+    // Buffer to store multiple screenshots with timestamps and angle classification
+    screenshotBuffer: [],
+    preservedFrames,
+    latestAnalysis: null,
+    lastAnalysisTime: 0,
+    isCapturing: false,
+    isClassifying: false,
+    
+    // Smart capture state - last captured angle to detect camera movement
+    lastCapturedAngle: null,
+    lastAngleChangeTime: 0,
+    consecutiveSameAngle: 0,
+    
+    cameraStatus: createCameraStatus(),
+    trafficHistory: createTrafficHistory(),
+    sharpness: { day: createSharpnessTracker(), night: createSharpnessTracker() }, // Per lighting profile
+    lighting: createLightingState(),
+    thresholdDefaults: definition.thresholds || {}, // Per-camera defaults from the definition
+    thresholds: mergeThresholds(definition.thresholds), // Congestion levels - see CONGESTION THRESHOLDS
+    operatingHoursDefaults: definition.operatingHours || {},
+    operatingHours: mergeOperatingHours(definition.operatingHours), // See BORDER OPERATING HOURS
+    timeZone: definition.timeZone || config.timeZone, // Wall clock for the schedule
+    borderOpen: null,        // Last known open/closed state (for logging transitions)
+    lastClosedCapture: 0,    // Throttles capture while the border is closed
+    referenceLibrary: [],          // Labelled reference images - see loadReferenceLibrary()
+    classifications: [],           // Recent classifications for the review queue
+    lastClassificationSample: 0,   // Last unsaved classification persisted - see CLASSIFICATION LOG
+    responseCache: createResponseCache(),
+    statusSnapshot: null,          // Precomputed standard answer - see STATUS SNAPSHOT
+    snapshotTimer: null,
+    snapshotRunning: false,
+    lastSnapshotRun: 0,
+    liveClients: new Set(),        // Open /api/live connections - see LIVE FEED
+  };
+}
 
-If the image is MOSTLY trees, vegetation, bushes, hillside, or sky - answer NO.
-If you can see a road, bridge, vehicles, or green roof structure - answer YES.
+const cameras = new Map();
+for (const definition of [...CAMERA_DEFINITIONS, ...loadExtraCameraDefinitions()]) {
+  if (cameras.has(definition.id)) {
+    console.error(`⚠️ Duplicate camera id "${definition.id}" - ignoring`);
+    continue;
+  }
+  cameras.set(definition.id, createCamera(definition));
+}
 
-Answer only YES or NO.`
-          }
-        ],
-      }],
-    });
-    
-    const uselessResult = uselessCheckResponse.content[0].text.trim().toUpperCase();
-    console.log(`📷 ROAD/VEHICLES visible check: ${uselessResult}`);
-    
-    // If NO road/vehicles visible, it's USELESS
-    if (uselessResult.includes('NO')) {
-      console.log(`📷 Frame classified as: USELESS (no road/vehicles visible)`);
-      return ANGLE_TYPES.USELESS;
-    }
-    
-    // STEP 1: Check if this is WIDE (Engen view) with a simple yes/no question
-    const wideCheckResponse = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 10,
-      messages: [{
-        role: 'user',
-        content: [
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: 'image/jpeg',
-              data: imageBase64,
-            },
-          },
-          {
-            type: 'text',
-            text: `Is this a WIDE VIEW showing a PAVED ROAD going into the distance with an ENGEN petrol station or buildings visible?
+function getCamera(cameraId) {
+  return cameras.get(cameraId || DEFAULT_CAMERA_ID) || null;
+}
 
-IMPORTANT: If the image is MOSTLY TREES, VEGETATION, or HILLSIDE - answer NO.
-Only answer YES if you can clearly see a paved road AND buildings/petrol station.
+// Resolve ?camera= (or body.camera) for a route; sends 404 and returns null if unknown
+function resolveCamera(req, res) {
+  const cameraId = req.query.camera || req.body?.camera;
+  const camera = getCamera(cameraId);
+  if (!camera) {
+    res.status(404).json({ success: false, message: `Unknown camera: ${cameraId}` });
+    return null;
+  }
+  return camera;
+}
 
-Answer only YES or NO.`
-          }
-        ],
-      }],
-    });
-    
-    const wideResult = wideCheckResponse.content[0].text.trim().toUpperCase();
-    console.log(`📷 WIDE check: ${wideResult}`);
-    
-    if (wideResult.includes('YES')) {
-      console.log(`📷 Frame classified as: WIDE`);
-      return ANGLE_TYPES.WIDE;
-    }
-    
-    // STEP 2: If not USELESS or WIDE, classify between BRIDGE and PROCESSING
-    const classifyResponse = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 20,
-      messages: [{
-        role: 'user',
-        content: [
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: 'image/jpeg',
-              data: imageBase64,
-            },
-          },
-          {
-            type: 'text',
-            text: `What do you see? Answer with ONLY ONE WORD:
+// Count buffered frames by angle type
+function countFramesByAngle(camera) {
+  return camera.screenshotBuffer.reduce((acc, f) => {
+    acc[f.angleType] = (acc[f.angleType] || 0) + 1;
+    return acc;
+  }, {});
+}
 
-BRIDGE - if you see an ORANGE/RED PILLAR and bridge over water
-PROCESSING - if you see a GREEN METAL ROOF overhead
-USELESS - if neither
+// =============================================
+// CAMERA STATUS TRACKING
+// =============================================
+// Detects: camera down, frozen stream, stuck on one angle
+// A frozen stream still "captures" fine - the HLS feed just keeps serving
+// the same picture - so each frame's perceptual hash (a 256-bit dHash that
+// ignores sub-grey-level steps, so flat sky and re-encoded keyframes still
+// match) is compared with the previous frame of the same angle, allowing
+// config.frozenHashDistance differing bits. Only a run of unchanged frames lasting
+// config.frozenStreamMinutes marks the feed frozen - that, not a tighter
+// tolerance, is what keeps a quiet live scene from counting. Frozen frames
+// are still saved - the status and prompt carry the warning.
+// Every stretch spent in a non-operational state is an incident - kept in
+// memory and in the camera_incidents table, so history, uptime and
+// "down for 2h" survive restarts.
+const INCIDENT_LOG_SIZE = 500;          // Closed incidents kept in memory per camera
+const INCIDENT_HISTORY_DAYS = 30;       // Restored on startup / max history window
+const FROZEN_HASH_SIZE = 16;            // 16x16 dHash - finer than the classifier's 8x8 so a few moving cars still register
+const FROZEN_HASH_MIN_STEP = 1;         // Grey levels a cell must beat its neighbour by - flat areas stay 0 through re-encoding
+
+function createCameraStatus() {
+  return {
+    consecutiveFailures: 0,
+    angleHistory: [],              // Last N classifications
+    lastSuccessfulCapture: null,
+    status: 'operational',         // 'operational', 'stuck_on_angle', 'frozen', 'down'
+    stuckAngle: null,
+    lastFingerprint: {},           // dHash of the last frame per angle
+    unchangedSince: null,          // Start of the current run of unchanged frames
+    unchangedFrames: 0,
+    since: Date.now(),             // When the current status started
+    currentIncident: null,         // Open incident while not operational
+    incidents: [],                 // Closed incidents, oldest first
+    
+    // Thresholds
+    FAILURE_THRESHOLD: 3,          // 3 failures = camera down
+    STUCK_THRESHOLD: 10,           // 10 same angles in a row = stuck
+    HISTORY_SIZE: 15,              // Track last 15 classifications
+  };
+}
 
-ONE WORD ONLY:`
-          }
-        ],
-      }],
-    });
-    
-    const rawResult = classifyResponse.content[0].text.trim().toUpperCase();
-    
-    // Extract ONLY the first word to prevent false matches from explanations
-    const firstWord = rawResult.split(/[\s\n.,!?]+/)[0];
-    console.log(`📷 Frame classified as: ${firstWord}`);
-    
-    // Use exact matching on the first word only
-    if (firstWord === 'BRIDGE') return ANGLE_TYPES.BRIDGE;
-    if (firstWord === 'PROCESSING') return ANGLE_TYPES.PROCESSING;
+function updateCameraStatus(camera) {
+  const cameraStatus = camera.cameraStatus;
+  
+  // Check for camera down
+  if (cameraStatus.consecutiveFailures >= cameraStatus.FAILURE_THRESHOLD) {
+    setCameraStatus(camera, 'down');
+    console.log(`🔴 [${camera.id}] Camera status: DOWN`);
+    return;
+  }
+  
+  // Frames arrive but the picture never changes
+  if (isStreamFrozen(camera)) {
+    setCameraStatus(camera, 'frozen');
+    console.log(`🧊 [${camera.id}] Camera status: FROZEN (${cameraStatus.unchangedFrames} unchanged frames)`);
+    return;
+  }
+  
+  // Check for stuck angle (only if we have enough history)
+  if (cameraStatus.angleHistory.length >= cameraStatus.STUCK_THRESHOLD) {
+    const recentAngles = cameraStatus.angleHistory.slice(-cameraStatus.STUCK_THRESHOLD);
+    const uniqueAngles = [...new Set(recentAngles.filter(a => a !== 'useless'))];
     
-    // Log if we got an unexpected response for debugging
-    if (firstWord !== 'USELESS') {
-      console.log(`⚠️ Unexpected classification response: "${rawResult.substring(0, 100)}"`);
+    if (uniqueAngles.length === 1) {
+      setCameraStatus(camera, 'stuck_on_angle', uniqueAngles[0]);
+      console.log(`📷 [${camera.id}] Camera status: STUCK on ${cameraStatus.stuckAngle}`);
+      return;
     }
-    
-    return ANGLE_TYPES.USELESS;
-    
-  } catch (error) {
-    console.error('❌ Classification failed:', error.message);
-    return ANGLE_TYPES.USELESS;
-  } finally {
-    isClassifying = false;
   }
+  
+  // Otherwise operational
+  setCameraStatus(camera, 'operational');
 }
 
-const app = express();
+function isStreamFrozen(camera, now = Date.now()) {
+  const { unchangedSince } = camera.cameraStatus;
+  return unchangedSince !== null && now - unchangedSince >= config.frozenStreamMinutes * 60 * 1000;
+}
 
-// Compression with filter to skip SSE streams
-app.use(compression({
-  filter: (req, res) => {
-    // Don't compress SSE streams
-    if (req.path === '/api/chat/stream') {
-      return false;
-    }
-    return compression.filter(req, res);
-  }
-}));
+function computeFrameFingerprint(pixels) {
+  return computeDifferenceHash(pixels, FROZEN_HASH_SIZE, FROZEN_HASH_MIN_STEP);
+}
 
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+function isSamePicture(a, b) {
+  return hammingDistance(a, b) <= config.frozenHashDistance;
+}
 
-// Capture a frame from the HLS stream using ffmpeg
-async function captureFrame() {
-  if (isCapturing) {
-    console.log('⏳ Capture already in progress');
-    return screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null;
+// Compare a classified frame with the previous frame of the same angle.
+// Resolves to true while the stream is frozen.
+function recordFrameFingerprint(camera, angleType, fingerprint, timestamp) {
+  const cameraStatus = camera.cameraStatus;
+  const wasFrozen = cameraStatus.status === 'frozen';
+  const previous = cameraStatus.lastFingerprint[angleType];
+  
+  if (previous) {
+    if (isSamePicture(previous.fingerprint, fingerprint)) {
+      if (cameraStatus.unchangedSince === null) {
+        cameraStatus.unchangedSince = previous.timestamp;
+        cameraStatus.unchangedFrames = 1;
+      }
+      cameraStatus.unchangedFrames++;
+    } else {
+      cameraStatus.unchangedSince = null;
+      cameraStatus.unchangedFrames = 0;
+    }
   }
+  cameraStatus.lastFingerprint[angleType] = { fingerprint, timestamp };
+  
+  const frozen = isStreamFrozen(camera, timestamp);
+  if (frozen !== wasFrozen) updateCameraStatus(camera);
+  return frozen;
+}
 
-  isCapturing = true;
-  const outputPath = '/tmp/frame.jpg';
-
-  return new Promise((resolve) => {
-    console.log('📸 Capturing frame from HLS stream...');
-    
-    const ffmpeg = spawn('ffmpeg', [
-      '-y',
-      '-i', config.streamUrl,
-      '-vframes', '1',
-      '-q:v', '2',
-      '-vf', 'scale=800:-1',
-      outputPath
-    ], {
-      timeout: 30000,
-    });
-
-    let stderr = '';
-    
-    ffmpeg.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    ffmpeg.on('close', async (code) => {
-      isCapturing = false;
-      
-      if (code === 0 && fs.existsSync(outputPath)) {
-        try {
-          const imageBuffer = fs.readFileSync(outputPath);
-          const timestamp = Date.now();
-          
-          // Check for motion blur BEFORE classification
-          if (isImageBlurry(imageBuffer)) {
-            // Skip blurry frames entirely - don't waste API call on classification
-            console.log('⏭️ Skipping blurry frame');
-            resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
-            return;
-          }
-          
-          // Classify the frame angle
-          const angleType = await classifyFrameAngle(imageBuffer);
-          
-          const frameData = {
-            screenshot: imageBuffer,
-            timestamp: timestamp,
-            angleType: angleType
-          };
-          
-          // Add to buffer
-          screenshotBuffer.push(frameData);
-          
-          // Also preserve the latest frame for each useful angle type
-          if (angleType !== 'useless' && preservedFrames.hasOwnProperty(angleType)) {
-            preservedFrames[angleType] = frameData;
-            
-            // Upload to Supabase Storage and update database
-            const framePath = await uploadFrameToStorage(imageBuffer, angleType, timestamp);
-            if (framePath) {
-              await updatePreservedFrame(angleType, framePath, timestamp);
-              await logFrameHistory(angleType, framePath, timestamp);
-            }
-          }
-          
-          // Keep only recent frames in main buffer
-          if (screenshotBuffer.length > config.maxBufferSize) {
-            screenshotBuffer = screenshotBuffer.slice(-config.maxBufferSize);
-          }
-          
-          // Count frames by type
-          const counts = screenshotBuffer.reduce((acc, f) => {
-            acc[f.angleType] = (acc[f.angleType] || 0) + 1;
-            return acc;
-          }, {});
-          
-          // Record successful capture for camera status tracking
-          recordCaptureSuccess(angleType);
-          
-          console.log(`✅ Frame captured (${angleType}), buffer: ${JSON.stringify(counts)}`);
-          resolve(imageBuffer);
-        } catch (err) {
-          console.error('❌ Failed to read captured frame:', err.message);
-          recordCaptureFailure();
-          resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
-        }
-      } else {
-        console.error(`❌ ffmpeg failed with code ${code}`);
-        recordCaptureFailure();
-        resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
-      }
-    });
+// Move to a new status. Leaving a non-operational status closes its
+// incident; entering one opens a new incident.
+function setCameraStatus(camera, status, stuckAngle = null) {
+  const cameraStatus = camera.cameraStatus;
+  if (cameraStatus.status === status && cameraStatus.stuckAngle === stuckAngle) return;
+  
+  const now = Date.now();
+  const previous = cameraStatus.currentIncident;
+  if (previous) {
+    previous.endedAt = now;
+    cameraStatus.incidents.push(previous);
+    if (cameraStatus.incidents.length > INCIDENT_LOG_SIZE) cameraStatus.incidents.shift();
+    cameraStatus.currentIncident = null;
+    console.log(`✅ [${camera.id}] Camera ${previous.type} incident ended after ${formatDuration((now - previous.startedAt) / 60000)}`);
+    persistIncidentEnd(camera, previous);
+  }
+  
+  if (status !== 'operational') {
+    const incident = { id: null, type: status, stuckAngle, startedAt: now, endedAt: null };
+    cameraStatus.currentIncident = incident;
+    persistIncidentStart(camera, incident);
+  }
+  
+  const previousStatus = cameraStatus.status;
+  cameraStatus.status = status;
+  cameraStatus.stuckAngle = stuckAngle;
+  cameraStatus.since = now;
+  
+  broadcastLive(camera, 'camera_status', { status, previous: previousStatus, stuckAngle, message: getCameraStatusInfo(camera).message });
+}
 
-    ffmpeg.on('error', (err) => {
-      isCapturing = false;
-      console.error('❌ ffmpeg error:', err.message);
-      recordCaptureFailure();
-      resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
-    });
+function serializeIncident(incident, now = Date.now()) {
+  const end = incident.endedAt || now;
+  return {
+    id: incident.id,
+    type: incident.type,
+    stuckAngle: incident.stuckAngle,
+    startedAt: new Date(incident.startedAt).toISOString(),
+    endedAt: incident.endedAt ? new Date(incident.endedAt).toISOString() : null,
+    ongoing: !incident.endedAt,
+    durationMinutes: Math.round((end - incident.startedAt) / 60000),
+    duration: formatDuration((end - incident.startedAt) / 60000),
+  };
+}
 
-    setTimeout(() => {
-      if (isCapturing) {
-        ffmpeg.kill('SIGKILL');
-        isCapturing = false;
-        console.error('❌ ffmpeg timeout');
-        resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
-      }
-    }, 25000);
-  });
+// Incidents (closed + current) overlapping the last `hours`
+function getIncidentHistory(camera, hours) {
+  const { incidents, currentIncident } = camera.cameraStatus;
+  const from = Date.now() - hours * 60 * 60 * 1000;
+  return [...incidents, ...(currentIncident ? [currentIncident] : [])]
+    .filter(incident => (incident.endedAt || Date.now()) >= from);
 }
 
-// Get the latest screenshot for display
-function getLatestScreenshot() {
-  if (screenshotBuffer.length > 0) {
-    return screenshotBuffer[screenshotBuffer.length - 1].screenshot;
+// Share of the window the feed was live (not down or frozen) and fully operational
+function computeUptime(camera, hours = 24) {
+  const now = Date.now();
+  const windowMs = hours * 60 * 60 * 1000;
+  const from = now - windowMs;
+  const minutes = { down: 0, degraded: 0 };
+  
+  const history = getIncidentHistory(camera, hours);
+  for (const incident of history) {
+    const overlap = Math.min(incident.endedAt || now, now) - Math.max(incident.startedAt, from);
+    if (overlap <= 0) continue;
+    if (incident.type === 'down' || incident.type === 'frozen') minutes.down += overlap / 60000;
+    else minutes.degraded += overlap / 60000;
   }
-  return null;
+  
+  const percent = (lostMinutes) => Math.round((1 - lostMinutes / (windowMs / 60000)) * 1000) / 10;
+  return {
+    hours,
+    uptimePercent: percent(minutes.down),
+    operationalPercent: percent(minutes.down + minutes.degraded),
+    downMinutes: Math.round(minutes.down),
+    degradedMinutes: Math.round(minutes.degraded),
+    incidents: history.length,
+  };
 }
 
-async function analyzeTraffic(userQuestion = null) {
-  if (screenshotBuffer.length === 0) {
-    return {
-      success: false,
-      message: "No camera feed available. The stream might be temporarily offline. Please try again in a moment.",
-    };
-  }
+// Save a new incident (fire-and-forget - the id arrives later)
+function persistIncidentStart(camera, incident) {
+  if (!supabase) return;
+  
+  incident.saving = supabase
+    .from('camera_incidents')
+    .insert({
+      camera_id: camera.id,
+      type: incident.type,
+      details: { stuckAngle: incident.stuckAngle },
+      started_at: new Date(incident.startedAt).toISOString(),
+    })
+    .select('id')
+    .then(({ data, error }) => {
+      if (error) throw new Error(error.message);
+      incident.id = data?.[0]?.id ?? null;
+    })
+    .catch(err => console.error(`❌ [${camera.id}] Failed to log camera incident:`, err.message));
+}
 
-  const now = Date.now();
-  if (!userQuestion && latestAnalysis && (now - lastAnalysisTime) < config.cacheTimeout) {
-    return latestAnalysis;
-  }
+function persistIncidentEnd(camera, incident) {
+  if (!supabase) return;
+  
+  Promise.resolve(incident.saving)
+    .then(async () => {
+      if (!incident.id) return;
+      const { error } = await supabase
+        .from('camera_incidents')
+        .update({
+          ended_at: new Date(incident.endedAt).toISOString(),
+          duration_ms: incident.endedAt - incident.startedAt,
+        })
+        .eq('id', incident.id);
+      if (error) throw new Error(error.message);
+    })
+    .catch(err => console.error(`❌ [${camera.id}] Failed to close camera incident:`, err.message));
+}
 
+// Restore recent incidents; an incident still open in the database becomes
+// the camera's current status until the next capture says otherwise
+async function loadIncidentsFromDB() {
+  if (!supabase) return;
+  
   try {
-    // Filter out useless frames and group by angle type
-    const usefulFrames = screenshotBuffer.filter(f => f.angleType !== ANGLE_TYPES.USELESS);
-    
-    if (usefulFrames.length === 0 && !preservedFrames.bridge && !preservedFrames.processing && !preservedFrames.wide) {
-      return {
-        success: false,
-        message: "Camera view is currently limited. Please try again in a moment for a better view.",
-      };
-    }
-    
-    // Group frames by angle type
-    const framesByAngle = {};
-    usefulFrames.forEach(frame => {
-      if (!framesByAngle[frame.angleType]) {
-        framesByAngle[frame.angleType] = [];
-      }
-      framesByAngle[frame.angleType].push(frame);
-    });
+    const { data, error } = await supabase
+      .from('camera_incidents')
+      .select('*')
+      .gte('started_at', new Date(Date.now() - INCIDENT_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString())
+      .order('started_at', { ascending: true });
     
-    // Get the MOST RECENT frame from EACH useful angle type
-    const framesToUse = [];
-    const anglesUsed = [];
-    
-    // Priority: Bridge first (shows both directions), then others
-    const anglePriority = [ANGLE_TYPES.BRIDGE, ANGLE_TYPES.PROCESSING, ANGLE_TYPES.WIDE];
-    
-    for (const angleType of anglePriority) {
-      if (framesByAngle[angleType] && framesByAngle[angleType].length > 0) {
-        // Get the most recent frame from this angle
-        const frames = framesByAngle[angleType];
-        framesToUse.push(frames[frames.length - 1]);
-        anglesUsed.push(angleType);
-      } else if (preservedFrames[angleType] && isFrameFresh(preservedFrames[angleType])) {
-        // Use preserved frame as fallback ONLY if it's fresh
-        framesToUse.push(preservedFrames[angleType]);
-        anglesUsed.push(angleType + ' (preserved)');
-      }
+    if (error) {
+      console.error('❌ Failed to load camera incidents:', error.message);
+      return;
     }
     
-    // If we have less than 3 frames, add more from the most common angle
-    if (framesToUse.length < 3) {
-      // Find angle with most frames
-      let bestAngle = null;
-      let maxCount = 0;
-      for (const [angle, frames] of Object.entries(framesByAngle)) {
-        if (frames.length > maxCount) {
-          maxCount = frames.length;
-          bestAngle = angle;
-        }
-      }
+    for (const row of data || []) {
+      const camera = getCamera(row.camera_id);
+      if (!camera) continue;
       
-      // Add older frames from best angle if needed
-      if (bestAngle && framesByAngle[bestAngle].length > 1) {
-        const additionalFrames = framesByAngle[bestAngle].slice(0, -1); // exclude the one we already added
-        for (const frame of additionalFrames.reverse()) {
-          if (framesToUse.length >= 3) break;
-          if (!framesToUse.includes(frame)) {
-            framesToUse.push(frame);
-          }
-        }
-      }
-    }
-
-    console.log(`🔍 Analyzing ${framesToUse.length} frames from angles: ${anglesUsed.join(', ')}`);
-
-    // =============================================
-    // STEP 1: Call YOLO detector for vehicle counts
-    // =============================================
-    // Direction is determined by GEOMETRY, not language inference
-    let detectorCounts = null;
-    let canopyDetectorCounts = null;
-    let wideDetectorCounts = null;
-    
-    // Find the bridge frame and call detector
-    const bridgeFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.BRIDGE);
-    if (bridgeFrame) {
-      detectorCounts = await detectVehicles(
-        bridgeFrame.screenshot.toString('base64'),
-        'bridge'
-      );
-    }
-    
-    // Find the canopy/processing frame and call detector for SA→LS queue
-    const canopyFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.PROCESSING);
-    if (canopyFrame) {
-      canopyDetectorCounts = await detectVehicles(
-        canopyFrame.screenshot.toString('base64'),
-        'canopy'
-      );
-      if (canopyDetectorCounts) {
-        console.log(`🎯 Canopy Detector: SA→LS queue: ${canopyDetectorCounts.SA_to_LS || 0}, LS→SA area: ${canopyDetectorCounts.LS_to_SA || 0}`);
+      const cameraStatus = camera.cameraStatus;
+      const incident = {
+        id: row.id,
+        type: row.type,
+        stuckAngle: row.details?.stuckAngle || null,
+        startedAt: new Date(row.started_at).getTime(),
+        endedAt: row.ended_at ? new Date(row.ended_at).getTime() : null,
+      };
+      
+      // An older open incident was cut short by a restart - it ended when the next one began
+      if (cameraStatus.currentIncident) {
+        cameraStatus.currentIncident.endedAt = incident.startedAt;
+        cameraStatus.incidents.push(cameraStatus.currentIncident);
+        persistIncidentEnd(camera, cameraStatus.currentIncident);
+        cameraStatus.currentIncident = null;
       }
-    }
-    
-    // Find the wide/Engen frame and check for queue backup (informational only)
-    const wideFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.WIDE);
-    let engenQueueDetected = false;
-    
-    console.log(`🔍 Looking for WIDE frame. Found: ${wideFrame ? 'YES' : 'NO'}, framesToUse angles: ${framesToUse.map(f => f.angleType).join(', ')}`);
-    
-    if (wideFrame) {
-      wideDetectorCounts = await detectVehicles(
-        wideFrame.screenshot.toString('base64'),
-        'engen'
-      );
-      if (wideDetectorCounts) {
-        const engenVehicles = wideDetectorCounts.LS_to_SA || wideDetectorCounts.total || 0;
-        console.log(`🎯 Engen Detector: ${engenVehicles} vehicles in queue area`);
-        
-        // If 2+ vehicles detected at Engen, queue has stretched past Engen
-        if (engenVehicles >= 2) {
-          engenQueueDetected = true;
-          console.log(`📍 Queue stretches past Engen (${engenVehicles} vehicles detected)`);
-        }
+      
+      if (incident.endedAt) {
+        cameraStatus.incidents.push(incident);
+      } else {
+        cameraStatus.currentIncident = incident;
+        cameraStatus.status = incident.type;
+        cameraStatus.stuckAngle = incident.stuckAngle;
+        cameraStatus.since = incident.startedAt;
+        // Stays frozen until a frame differs from the next one of its angle
+        if (incident.type === 'frozen') cameraStatus.unchangedSince = incident.startedAt;
       }
     }
     
-    // Add to traffic history for time-series analysis
-    trafficHistory.addReading(detectorCounts, canopyDetectorCounts);
-    
-    // Get trend analysis
-    const trendInfo = trafficHistory.analyzeTrends();
-    const trendSummary = trafficHistory.getTrendSummary();
-    
-    // Determine traffic levels from detector counts (existing logic - unchanged)
-    let lsToSaStatus = 'LIGHT';
-    let saToLsStatus = 'LIGHT';
-    let lsToSaCount = 0;
-    let saToLsCount = 0;
-    let saToLsCanopyCount = 0;
-    let lsToSaCanopyCount = 0;  // NEW: LS→SA vehicles in canopy (right side)
-    
-    // Bridge counts
-    if (detectorCounts && !detectorCounts.direction_uncertain) {
-      lsToSaCount = detectorCounts.LS_to_SA;
-      saToLsCount = detectorCounts.SA_to_LS;
-    }
-    
-    // Add canopy counts
-    if (canopyDetectorCounts) {
-      saToLsCanopyCount = canopyDetectorCounts.SA_to_LS || 0;  // Left side - entering canopy
-      lsToSaCanopyCount = canopyDetectorCounts.LS_to_SA || 0;  // Right side - heading to SA
-    }
-    
-    // Combined counts (bridge + canopy)
-    const combinedSaToLs = saToLsCount + saToLsCanopyCount;
-    const combinedLsToSa = lsToSaCount + lsToSaCanopyCount;  // NEW: Include canopy right side
-    
-    if (detectorCounts && !detectorCounts.direction_uncertain) {
-      // Determine status levels using COMBINED counts
-      if (combinedLsToSa <= 3) lsToSaStatus = 'LIGHT';
-      else if (combinedLsToSa <= 8) lsToSaStatus = 'MODERATE';
-      else lsToSaStatus = 'HEAVY';
-      
-      // SA→LS uses COMBINED count (bridge + canopy)
-      if (combinedSaToLs <= 3) saToLsStatus = 'LIGHT';
-      else if (combinedSaToLs <= 8) saToLsStatus = 'MODERATE';
-      else saToLsStatus = 'HEAVY';
-      
-      console.log(`📊 Traffic levels - LS→SA: ${lsToSaStatus} (bridge: ${lsToSaCount}, canopy: ${lsToSaCanopyCount}, combined: ${combinedLsToSa}${engenQueueDetected ? ', queue at Engen!' : ''}), SA→LS: ${saToLsStatus} (bridge: ${saToLsCount}, canopy: ${saToLsCanopyCount}, combined: ${combinedSaToLs})`);
-      
-      if (trendSummary) {
-        console.log(`📈 Trend: ${trendSummary}`);
+    for (const camera of cameras.values()) {
+      const { incidents, currentIncident } = camera.cameraStatus;
+      camera.cameraStatus.incidents = incidents.slice(-INCIDENT_LOG_SIZE);
+      if (incidents.length || currentIncident) {
+        console.log(`📋 [${camera.id}] Restored ${incidents.length} camera incidents${currentIncident ? ` (still ${currentIncident.type})` : ''}`);
       }
-    } else if (detectorCounts?.direction_uncertain) {
-      console.log(`⚠️ Direction uncertain - too many unassigned vehicles`);
     }
+  } catch (err) {
+    console.error('❌ Error loading camera incidents:', err.message);
+  }
+}
+
+function recordCaptureSuccess(camera, angleType) {
+  const cameraStatus = camera.cameraStatus;
+  cameraStatus.consecutiveFailures = 0;
+  cameraStatus.lastSuccessfulCapture = Date.now();
+  
+  // Add to angle history (skip useless frames for stuck detection)
+  cameraStatus.angleHistory.push(angleType);
+  if (cameraStatus.angleHistory.length > cameraStatus.HISTORY_SIZE) {
+    cameraStatus.angleHistory.shift();
+  }
+  
+  updateCameraStatus(camera);
+}
+
+function recordCaptureFailure(camera) {
+  camera.cameraStatus.consecutiveFailures++;
+  console.log(`⚠️ [${camera.id}] Capture failure #${camera.cameraStatus.consecutiveFailures}`);
+  updateCameraStatus(camera);
+}
+
+function getCameraStatusInfo(camera) {
+  const cameraStatus = camera.cameraStatus;
+  const info = {
+    camera: camera.id,
+    status: cameraStatus.status,
+    stuckAngle: cameraStatus.stuckAngle,
+    lastSuccessfulCapture: cameraStatus.lastSuccessfulCapture,
+    consecutiveFailures: cameraStatus.consecutiveFailures,
+    since: new Date(cameraStatus.since).toISOString(),
+    currentIncident: cameraStatus.currentIncident ? serializeIncident(cameraStatus.currentIncident) : null,
+  };
+  
+  // Generate user-friendly message
+  if (cameraStatus.status === 'down') {
+    // Down since the last good frame (the incident only opens after a few failures)
+    const downSince = cameraStatus.lastSuccessfulCapture || cameraStatus.since;
+    info.downFor = formatDuration((Date.now() - downSince) / 60000);
+    info.message = `🔴 Camera feed unavailable for ${info.downFor}. Please check back later or contact border control for current conditions.`;
+  } else if (cameraStatus.status === 'frozen') {
+    const frozenSince = cameraStatus.unchangedSince || cameraStatus.since;
+    info.frozenSince = new Date(frozenSince).toISOString();
+    info.frozenFor = formatDuration((Date.now() - frozenSince) / 60000);
+    info.unchangedFrames = cameraStatus.unchangedFrames;
+    info.message = `🧊 Camera picture hasn't changed for ${info.frozenFor} - the feed looks frozen, so the images may not show current conditions.`;
+  } else if (cameraStatus.status === 'stuck_on_angle') {
+    const angleName = camera.angles[cameraStatus.stuckAngle]?.name || cameraStatus.stuckAngle;
+    info.message = `📷 Camera currently showing ${angleName} only (for ${formatDuration((Date.now() - cameraStatus.since) / 60000)}). Other areas may not be visible.`;
+  } else {
+    info.message = null; // No alert needed
+  }
+  
+  return info;
+}
+
+// Maximum age for frames to be considered valid (10 minutes)
+const MAX_FRAME_AGE_MS = 45 * 60 * 1000; // 45 minutes - camera cycles angles slowly
+
+// Helper function to check if a frame is still fresh
+function isFrameFresh(frame) {
+  if (!frame || !frame.timestamp) return false;
+  const frameAge = Date.now() - new Date(frame.timestamp).getTime();
+  return frameAge <= MAX_FRAME_AGE_MS;
+}
+
+// =============================================
+// RESPONSE CACHE SYSTEM
+// =============================================
+// Answers are cached per camera under the question's intent - what is
+// asked, about which part of the crossing and which direction - together
+// with the timestamps of the frames the answer was based on. A newer frame
+// of any angle the intent depends on evicts the entry, so an answer never
+// outlives the picture it describes. CACHE_MAX_AGE is only a backstop for
+// when no new frames arrive (camera down, frozen or stuck).
+function createResponseCache() {
+  return {
+    entries: new Map(),   // intent key -> { intent, response, frames: { angleType: timestamp }, frameTimestamp, timestamp, hits }
+    hits: 0,
+    misses: 0,
+    invalidations: 0,     // Evicted by a newer frame
+    expirations: 0,       // Evicted by CACHE_MAX_AGE
+  };
+}
+
+const CACHE_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+const STATUS_INTENT_KEY = 'status:open:all:both'; // General status question - see STATUS SNAPSHOT
+
+// Words that tie a question to one angle - the definition's keywords,
+// otherwise its label and detector view
+function getAngleKeywords(angle) {
+  return (angle.keywords || [angle.label, angle.detectorView].filter(Boolean)).map(word => word.toLowerCase());
+}
+
+// Keywords can come from EXTRA_CAMERAS, so match them literally
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 'lsToSa', 'saToLs' or null when the question names no (or both) directions
+function detectQuestionDirection(q) {
+  const lsToSa = /\bfrom\s*(ls|lesotho)\b|\bto\s*(sa|south\s*africa)\b|\bls\s*(to|→)/i.test(q);
+  const saToLs = /\bfrom\s*(sa|south\s*africa)\b|\bto\s*(ls|lesotho)\b|\bsa\s*(to|→)/i.test(q);
+  if (lsToSa === saToLs) return null;
+  return lsToSa ? 'lsToSa' : 'saToLs';
+}
+
+// What a question asks, or null if its answer shouldn't be reused.
+// Resolves to { key, topic, form, places, direction, angles }.
+function getQuestionIntent(camera, question) {
+  if (!question) return null;
+  
+  const type = detectQuestionType(question);
+  if (type === 'offtopic' || type === 'info') return null;
+  
+  // "Maseru Bridge" names the post, not the bridge angle
+  const q = question.toLowerCase().split(camera.name.toLowerCase()).join(' ');
+  
+  let topic = 'status';
+  if (/how\s*long|\bwait|\bminutes?\b/.test(q)) topic = 'wait';
+  else if (/\bqueues?\b|\blines?\b|backed|backup|\bjam/.test(q)) topic = 'queue';
+  else if (type === 'timing' || /good\s*time|should\s*i\s*(go|cross)|right\s*time|(okay|ok|safe)\s*to\s*cross/.test(q)) topic = 'timing';
+  
+  // Yes/no and "how does it look" answers are shaped differently from open ones
+  const form = type === 'yesno' || type === 'visual' ? type : 'open';
+  
+  const places = Object.entries(camera.angles)
+    .filter(([, angle]) => getAngleKeywords(angle).some(word => new RegExp(`\\b${escapeRegExp(word)}`).test(q)))
+    .map(([angleType]) => angleType);
+  const direction = detectQuestionDirection(q);
+  
+  return {
+    key: [topic, form, places.join('+') || 'all', direction || 'both'].join(':'),
+    topic,
+    form,
+    places,
+    direction,
+    // Frames that can change the answer - the named places, or every angle
+    angles: places.length ? places : Object.keys(camera.angles),
+  };
+}
+
+// Cached answer for an intent, or null (counts a hit or a miss)
+function getCachedResponse(camera, intent) {
+  if (!intent) return null;
+  
+  const cache = camera.responseCache;
+  const cached = cache.entries.get(intent.key);
+  if (!cached) {
+    cache.misses++;
+    return null;
+  }
+  
+  const age = Date.now() - cached.timestamp;
+  if (age >= CACHE_MAX_AGE) {
+    cache.entries.delete(intent.key);
+    cache.expirations++;
+    cache.misses++;
+    console.log(`⏰ [${camera.id}] Cache EXPIRED for "${intent.key}" (${Math.round(age / 1000)}s old)`);
+    return null;
+  }
+  
+  cache.hits++;
+  cached.hits++;
+  console.log(`✅ [${camera.id}] Cache HIT for "${intent.key}" (${Math.round(age / 1000)}s old)`);
+  return cached;
+}
+
+// Store an answer with the frames it was based on
+function cacheResponse(camera, intent, response, framesToUse) {
+  if (!intent) return;
+  
+  const frames = {};
+  for (const frame of framesToUse) {
+    frames[frame.angleType] = Math.max(frames[frame.angleType] || 0, frame.timestamp);
+  }
+  
+  camera.responseCache.entries.set(intent.key, {
+    intent,
+    response,
+    frames,
+    frameTimestamp: framesToUse[framesToUse.length - 1]?.timestamp ?? null,
+    timestamp: Date.now(),
+    hits: 0,
+  });
+  
+  console.log(`💾 [${camera.id}] Cached response for "${intent.key}"`);
+}
+
+// A new frame arrived - drop answers that depend on this angle and predate it
+function invalidateResponseCache(camera, angleType, timestamp) {
+  const cache = camera.responseCache;
+  for (const [key, cached] of cache.entries) {
+    if (!cached.intent.angles.includes(angleType)) continue;
+    if ((cached.frames[angleType] || 0) >= timestamp) continue;
+    
+    cache.entries.delete(key);
+    cache.invalidations++;
+    console.log(`🗑️ [${camera.id}] Cache entry "${key}" invalidated by new ${angleType} frame`);
+  }
+}
+
+// Forget every answer (thresholds/hours changed) - metrics are kept
+function clearResponseCache(camera) {
+  camera.responseCache.entries.clear();
+}
+
+// Entries plus hit/miss counters for admin stats and /api/debug
+function getResponseCacheStats(camera) {
+  const { entries, hits, misses, invalidations, expirations } = camera.responseCache;
+  const now = Date.now();
+  
+  return {
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : null,
+    invalidations,
+    expirations,
+    entries: [...entries.entries()].map(([key, cached]) => ({
+      key,
+      ageSeconds: Math.round((now - cached.timestamp) / 1000),
+      expiresIn: Math.max(0, Math.round((CACHE_MAX_AGE - (now - cached.timestamp)) / 1000)),
+      hits: cached.hits,
+      angles: cached.intent.angles,
+    })),
+  };
+}
+
+// Angle types
+const ANGLE_TYPES = {
+  BRIDGE: 'bridge',           // View of the bridge showing both lanes
+  WIDE: 'wide',               // Wide view showing ENGEN, road to bridge
+  PROCESSING: 'processing',   // Processing area with curved roof
+  USELESS: 'useless'          // Trees, darkness, no useful info
+};
+
+// =============================================
+// SUPABASE HELPER FUNCTIONS
+// =============================================
+// camera_id columns and the tables added with the camera registry come from
+// supabase/migrations/20261019000000_camera_registry.sql - run it before deploying.
+
+// Upload a JPEG to the frames bucket. Resolves to its public URL or null.
+async function uploadToStorage(fileName, imageBuffer) {
+  if (!supabase) return null;
+  
+  try {
+    const { data, error } = await supabase.storage
+      .from('frames')
+      .upload(fileName, imageBuffer, {
+        contentType: 'image/jpeg',
+        upsert: true
+      });
+    
+    if (error) {
+      console.error('❌ Storage upload error:', error.message);
+      return null;
+    }
+    
+    // Get public URL
+    const { data: urlData } = supabase.storage
+      .from('frames')
+      .getPublicUrl(fileName);
+    
+    return urlData?.publicUrl || fileName;
+  } catch (err) {
+    console.error('❌ Storage upload failed:', err.message);
+    return null;
+  }
+}
+
+// Upload frame to Supabase Storage
+async function uploadFrameToStorage(cameraId, imageBuffer, angleType, timestamp) {
+  if (!supabase) return null;
+  
+  const fileName = `${cameraId}/${angleType}/${timestamp}.jpg`;
+  console.log(`📤 Uploading ${cameraId} ${angleType} frame to Supabase...`);
+  
+  const framePath = await uploadToStorage(fileName, imageBuffer);
+  if (framePath) {
+    console.log(`✅ Uploaded ${angleType} frame to Supabase: ${fileName}`);
+  }
+  return framePath;
+}
+
+// Log frame to history table (keeps 7 days of history)
+async function logFrameHistory(cameraId, angleType, framePath, timestamp) {
+  if (!supabase) return;
+  
+  try {
+    const { error } = await supabase
+      .from('frame_history')
+      .insert({
+        camera_id: cameraId,
+        angle_type: angleType,
+        frame_path: framePath,
+        timestamp: new Date(timestamp).toISOString()
+      });
+    
+    if (error) {
+      console.error('❌ Failed to log frame history:', error.message);
+    }
+  } catch (err) {
+    console.error('❌ Frame history error:', err.message);
+  }
+}
+
+// Update preserved frame in database (one row per camera + angle - needs the
+// preserved_frames_camera_angle_key constraint from the camera registry migration)
+async function updatePreservedFrame(cameraId, angleType, framePath, timestamp) {
+  if (!supabase) return;
+  
+  try {
+    const { error } = await supabase
+      .from('preserved_frames')
+      .upsert({
+        camera_id: cameraId,
+        angle_type: angleType,
+        frame_path: framePath,
+        timestamp: new Date(timestamp).toISOString(),
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'camera_id,angle_type'
+      });
+    
+    if (error) {
+      console.error('❌ DB update error:', error.message);
+    }
+  } catch (err) {
+    console.error('❌ Failed to update preserved frame:', err.message);
+  }
+}
+
+// Log detector counts for a captured frame (one row per frame)
+async function logVehicleCounts(cameraId, angleType, frameTimestamp, counts) {
+  if (!supabase) return;
+  
+  try {
+    const { error } = await supabase
+      .from('vehicle_counts')
+      .insert({
+        camera_id: cameraId,
+        angle_type: angleType,
+        frame_timestamp: new Date(frameTimestamp).toISOString(),
+        ls_to_sa: counts.LS_to_SA ?? null,
+        sa_to_ls: counts.SA_to_LS ?? null,
+        total: counts.total ?? null,
+        direction_uncertain: !!counts.direction_uncertain,
+        breakdown: counts.breakdown || null,
+        counts
+      });
+    
+    if (error) {
+      console.error('❌ Failed to log vehicle counts:', error.message);
+    }
+  } catch (err) {
+    console.error('❌ Vehicle counts error:', err.message);
+  }
+}
+
+// Structured summary of what the detector saw for one analysis. Levels are
+// only set when they were computed from counts (null = visual-only).
+function buildReadingCounts({ detection, bridge, canopy, engen, engenQueueDetected, trend, lsToSa, saToLs }) {
+  return {
+    mode: detection.mode,
+    visualOnlyReason: detection.reason,
+    directionUncertain: !!bridge?.direction_uncertain,
+    engenQueueDetected,
+    lsToSa: { ...lsToSa, level: detection.visualOnly ? null : lsToSa.level },
+    saToLs: { ...saToLs, level: detection.visualOnly ? null : saToLs.level },
+    trend,
+    raw: { bridge: bridge || null, canopy: canopy || null, engen: engen || null },
+  };
+}
+
+// Log traffic reading to database. Statuses come from the detector-based
+// levels; the model's text is only parsed for the summary/advice and, in
+// visual-only mode, for the status it gave.
+async function logTrafficReading(camera, analysisResult, framesUsed, responseTimeMs, counts = null) {
+  if (!supabase) {
+    console.log('⚠️ Supabase not connected, skipping traffic log');
+    return;
+  }
+  
+  try {
+    const message = analysisResult.message || '';
+    
+    console.log('📝 Attempting to log traffic reading...');
+    
+    // Extract status from direction boxes - multiple regex patterns for flexibility
+    let lsStatus = null, lsDetail = null, saStatus = null, saDetail = null;
+    
+    // Pattern 1: Standard format [LS_TO_SA] status: X detail: Y [/LS_TO_SA]
+    const lsMatch1 = message.match(/\[LS_TO_SA\][\s\S]*?status:\s*(\w+)[\s\S]*?detail:\s*([\s\S]*?)\[\/LS_TO_SA\]/i);
+    const saMatch1 = message.match(/\[SA_TO_LS\][\s\S]*?status:\s*(\w+)[\s\S]*?detail:\s*([\s\S]*?)\[\/SA_TO_LS\]/i);
+    
+    if (lsMatch1) {
+      lsStatus = lsMatch1[1];
+      lsDetail = lsMatch1[2];
+    }
+    if (saMatch1) {
+      saStatus = saMatch1[1];
+      saDetail = saMatch1[2];
+    }
+    
+    // Pattern 2: Look for status badges like "LIGHT" after direction headers
+    if (!lsStatus) {
+      const lsAlt = message.match(/Lesotho\s*→\s*South Africa[^]*?(LIGHT|MODERATE|HEAVY|SEVERE)/i);
+      if (lsAlt) lsStatus = lsAlt[1];
+    }
+    if (!saStatus) {
+      const saAlt = message.match(/South Africa\s*→\s*Lesotho[^]*?(LIGHT|MODERATE|HEAVY|SEVERE)/i);
+      if (saAlt) saStatus = saAlt[1];
+    }
+    
+    // Extract traffic summary and advice
+    const trafficMatch = message.match(/\*\*Traffic:\*\*\s*([^\n\[]+)/i);
+    const adviceMatch = message.match(/\*\*Advice:\*\*\s*([^\n⚠]+)/i);
+    
+    // For non-standard responses, try to extract a summary
+    let summary = trafficMatch ? trafficMatch[1].trim() : null;
+    if (!summary && message.length > 0) {
+      // Take first sentence as summary for non-standard responses
+      const firstSentence = message.match(/^[^.!?]*[.!?]/);
+      if (firstSentence) {
+        summary = firstSentence[0].trim().substring(0, 200);
+      }
+    }
+    
+    // Normalize status values to match CHECK constraint
+    const normalizeStatus = (status) => {
+      if (!status) return null;
+      const upper = status.toUpperCase().trim();
+      if (['LIGHT', 'MODERATE', 'HEAVY', 'SEVERE'].includes(upper)) {
+        return upper;
+      }
+      return null;
+    };
+    
+    const reading = {
+      camera_id: camera.id,
+      timestamp: new Date().toISOString(),
+      traffic_summary: summary,
+      ls_to_sa_status: counts?.lsToSa.level || normalizeStatus(lsStatus),
+      ls_to_sa_detail: lsDetail ? lsDetail.trim() : null,
+      sa_to_ls_status: counts?.saToLs.level || normalizeStatus(saStatus),
+      sa_to_ls_detail: saDetail ? saDetail.trim() : null,
+      advice: adviceMatch ? adviceMatch[1].trim() : null,
+      frames_used: framesUsed,
+      angles_available: framesUsed.map(f => f.angleType),
+      response_time_ms: responseTimeMs,
+      // Detector output (null when no counts were available)
+      detection_mode: counts?.mode || null,
+      ls_to_sa_count: counts && !counts.directionUncertain ? counts.lsToSa.combined : null,
+      sa_to_ls_count: counts && !counts.directionUncertain ? counts.saToLs.combined : null,
+      ls_to_sa_level: counts?.lsToSa.level || null,
+      sa_to_ls_level: counts?.saToLs.level || null,
+      direction_uncertain: counts ? counts.directionUncertain : null,
+      engen_queue_detected: counts ? counts.engenQueueDetected : null,
+      vehicle_breakdown: counts ? { LS_to_SA: counts.lsToSa.breakdown, SA_to_LS: counts.saToLs.breakdown } : null,
+      trend: counts?.trend || null,
+      detector_counts: counts?.raw || null,
+      calendar_tags: getCalendarContext().tags,
+      lighting_profile: analysisResult.visibility?.profile || 'day'
+    };
+    
+    console.log('📊 Reading:', JSON.stringify({
+      ls_status: reading.ls_to_sa_status,
+      sa_status: reading.sa_to_ls_status,
+      mode: reading.detection_mode,
+      summary: reading.traffic_summary?.substring(0, 50)
+    }));
+    
+    const { data, error } = await supabase
+      .from('traffic_readings')
+      .insert(reading)
+      .select();
+    
+    if (error) {
+      console.error('❌ Failed to log reading:', error.message, error.details);
+    } else {
+      console.log('✅ Traffic reading logged to database, id:', data?.[0]?.id);
+    }
+  } catch (err) {
+    console.error('❌ Failed to log traffic reading:', err.message);
+  }
+}
+
+// Load preserved frames from database on startup
+async function loadPreservedFramesFromDB() {
+  if (!supabase) return;
+  
+  try {
+    const { data, error } = await supabase
+      .from('preserved_frames')
+      .select('*');
+    
+    if (error) {
+      console.error('❌ Failed to load preserved frames:', error.message);
+      return;
+    }
+    
+    if (!data || data.length === 0) {
+      console.log('📷 No preserved frames in database yet');
+      return;
+    }
+    
+    // Download each preserved frame (rows from before multi-camera have no camera_id)
+    for (const row of data) {
+      if (!row.frame_path) continue;
+      
+      const camera = getCamera(row.camera_id);
+      if (!camera || !camera.preservedFrames.hasOwnProperty(row.angle_type)) continue;
+      
+      try {
+        // Download from storage
+        const { data: fileData, error: downloadError } = await supabase.storage
+          .from('frames')
+          .download(row.frame_path.replace(/^.*\/frames\//, ''));
+        
+        if (downloadError || !fileData) {
+          console.log(`⚠️ Could not download ${row.angle_type} frame`);
+          continue;
+        }
+        
+        // Convert to buffer
+        const arrayBuffer = await fileData.arrayBuffer();
+        const buffer = Buffer.from(arrayBuffer);
+        
+        // Restore to memory
+        camera.preservedFrames[row.angle_type] = {
+          screenshot: buffer,
+          timestamp: new Date(row.timestamp).getTime(),
+          angleType: row.angle_type
+        };
+        
+        console.log(`✅ Restored ${camera.id} ${row.angle_type} frame from database`);
+      } catch (err) {
+        console.log(`⚠️ Error restoring ${row.angle_type}:`, err.message);
+      }
+    }
+    
+    for (const camera of cameras.values()) {
+      const frames = Object.values(camera.preservedFrames);
+      const restored = frames.filter(f => f !== null).length;
+      console.log(`📷 [${camera.id}] Restored ${restored}/${frames.length} preserved frames from database`);
+    }
+    
+  } catch (err) {
+    console.error('❌ Failed to load preserved frames:', err.message);
+  }
+}
+
+// Get typical traffic for current time (for predictions)
+async function getTypicalTraffic() {
+  if (!supabase) return null;
+  
+  try {
+    const { data, error } = await supabase.rpc('get_typical_traffic');
+    
+    if (error) {
+      console.error('❌ Failed to get typical traffic:', error.message);
+      return null;
+    }
+    
+    return data;
+  } catch (err) {
+    console.error('❌ Error getting typical traffic:', err.message);
+    return null;
+  }
+}
+
+// =============================================
+// END SUPABASE HELPER FUNCTIONS
+// =============================================
+
+// =============================================
+// BLUR DETECTION
+// =============================================
+// Sharpness = variance of the Laplacian on the decoded grayscale frame.
+// Sharp frames have strong edges (high variance), motion blur smears them out.
+// Thresholds adapt per camera and per angle from the recent scores of every
+// frame - rejected ones included - so a lasting drop (rain, fog, a dirty lens,
+// a zoom change) pulls the median down and the bar follows it. Day and
+// night keep separate histories and floors (see NIGHT PROFILE).
+
+const SHARPNESS_HISTORY_SIZE = 30;    // Recent scores kept per angle
+const SHARPNESS_MIN_SAMPLES = 5;      // Use the fixed floor until we have this many
+const SHARPNESS_FLOOR = 25;           // Absolute minimum - below this is always blurry
+const SHARPNESS_ANGLE_RATIO = 0.5;    // Blurry if under half the angle's recent median
+const SHARPNESS_CAMERA_RATIO = 0.35;  // Looser pre-classification gate across all angles
+
+// Decode a JPEG into RGB plus an 8-bit luminance plane
+function decodeJpeg(imageBuffer) {
+  const { width, height, data } = jpeg.decode(imageBuffer, {
+    useTArray: true,
+    formatAsRGBA: false,
+    maxMemoryUsageInMB: 256,
+  });
+  
+  const gray = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 3) {
+    gray[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  
+  return { width, height, rgb: data, gray };
+}
+
+// Variance of the 4-neighbour Laplacian
+function computeSharpness({ width, height, gray }) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return Math.round((sumSquares / count - mean * mean) * 10) / 10;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function createSharpnessTracker() {
+  return {
+    recent: [],    // All angles (used before classification)
+    byAngle: {},   // angleType -> recent scores
+  };
+}
+
+// Current blur threshold for a camera (optionally for one angle)
+function getSharpnessThreshold(camera, angleType = null, profile = getLightingProfile(camera)) {
+  const tracker = camera.sharpness[profile.name];
+  const samples = angleType
+    ? tracker.byAngle[angleType] || []
+    : tracker.recent;
+  
+  if (samples.length < SHARPNESS_MIN_SAMPLES) return profile.sharpnessFloor;
+  
+  const ratio = angleType ? profile.sharpnessAngleRatio : profile.sharpnessCameraRatio;
+  return Math.max(profile.sharpnessFloor, Math.round(median(samples) * ratio * 10) / 10);
+}
+
+function isImageBlurry(camera, sharpness, angleType = null) {
+  const threshold = getSharpnessThreshold(camera, angleType);
+  
+  if (sharpness < threshold) {
+    console.log(`🌫️ [${camera.id}] Frame likely blurry (sharpness ${sharpness} < ${threshold}${angleType ? ` for ${angleType}` : ''}) - SKIPPING`);
+    return true;
+  }
+  
+  return false;
+}
+
+// Learn from a scored frame, whether or not it passed. angleType null feeds
+// the camera-wide history (before classification), otherwise the angle's.
+function recordSharpness(camera, angleType, sharpness) {
+  const tracker = camera.sharpness[getLightingProfile(camera).name];
+  
+  if (angleType === null) {
+    tracker.recent.push(sharpness);
+    if (tracker.recent.length > SHARPNESS_HISTORY_SIZE) tracker.recent.shift();
+    return;
+  }
+  
+  if (angleType === ANGLE_TYPES.USELESS) return;
+  
+  const samples = tracker.byAngle[angleType] || (tracker.byAngle[angleType] = []);
+  samples.push(sharpness);
+  if (samples.length > SHARPNESS_HISTORY_SIZE) samples.shift();
+}
+
+// Score each frame of a burst and return the sharpest decodable one
+function pickSharpestFrame(camera, frames) {
+  let best = null;
+  
+  for (const image of frames) {
+    try {
+      const pixels = decodeJpeg(image);
+      const sharpness = computeSharpness(pixels);
+      if (!best || sharpness > best.sharpness) {
+        best = { image, sharpness, pixels };
+      }
+    } catch (err) {
+      console.log(`⚠️ [${camera.id}] Could not decode frame (${err.message})`);
+    }
+  }
+  
+  return best;
+}
+
+// Thresholds and medians for /api/debug (current lighting profile)
+function getSharpnessSummary(camera) {
+  const profile = getLightingProfile(camera);
+  const tracker = camera.sharpness[profile.name];
+  const summary = {
+    profile: profile.name,
+    brightness: camera.lighting.brightness,
+    threshold: getSharpnessThreshold(camera),
+    median: tracker.recent.length ? median(tracker.recent) : null,
+    angles: {},
+  };
+  
+  for (const [angleType, samples] of Object.entries(tracker.byAngle)) {
+    summary.angles[angleType] = {
+      threshold: getSharpnessThreshold(camera, angleType),
+      median: median(samples),
+      samples: samples.length,
+    };
+  }
+  
+  return summary;
+}
+
+// =============================================
+// NIGHT PROFILE (low-light capture and analysis)
+// =============================================
+// At night the Laplacian scores drop, the classifier mistakes darkness for
+// vegetation and the detector misses unlit vehicles. The lighting profile
+// is picked per capture from the clock and/or the frame's mean brightness
+// (config.nightMode: 'clock', 'brightness' or 'auto' = brightness when
+// measured recently, clock otherwise) and adjusts blur thresholds,
+// classification prompts and detector parameters. Analyses built from
+// night frames carry a reduced-confidence visibility label.
+
+const NIGHT_START_HOUR = 18;            // Clock fallback: 18:00-06:00 is night (post's time zone)
+const NIGHT_END_HOUR = 6;
+const NIGHT_BRIGHTNESS = 55;            // Mean luminance (0-255) below this → night
+const DAY_BRIGHTNESS = 75;              // ...and back to day above this (hysteresis)
+const BRIGHTNESS_MAX_AGE = 10 * 60 * 1000;
+
+const LIGHTING_PROFILES = {
+  day: {
+    name: 'day',
+    sharpnessFloor: SHARPNESS_FLOOR,
+    sharpnessAngleRatio: SHARPNESS_ANGLE_RATIO,
+    sharpnessCameraRatio: SHARPNESS_CAMERA_RATIO,
+    classificationHint: '',
+    detectorParams: {},
+  },
+  night: {
+    name: 'night',
+    sharpnessFloor: 10,                 // Sensor noise + headlight glare - edges are weaker
+    sharpnessAngleRatio: 0.35,
+    sharpnessCameraRatio: 0.2,
+    classificationHint: `
+NOTE: This is a NIGHT image from a fixed border traffic camera. It may be dark, grainy or show glare from headlights and street lights.
+Darkness is NOT vegetation - judge by what you can make out: rows of street lights, a lit canopy roof, headlights/taillights, road markings.`,
+    detectorParams: { low_light: true, confidence_threshold: 0.15 }, // Optional /analyze fields - see requestDetection()
+  },
+};
+
+function createLightingState() {
+  return {
+    profile: 'day',
+    brightness: null,     // Mean luminance of the last captured frame
+    measuredAt: 0,
+  };
+}
+
+// Mean luminance, sampling every 4th pixel
+function computeBrightness({ gray }) {
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < gray.length; i += 4) {
+    sum += gray[i];
+    count++;
+  }
+  return count ? Math.round(sum / count) : 0;
+}
+
+function isNightByClock(camera, at = new Date()) {
+  const hour = Math.floor(getZonedTime(at, camera.timeZone).minutes / 60);
+  return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+}
+
+// Pick the profile from the latest brightness reading (and/or the clock)
+function updateLighting(camera, brightness = null) {
+  const lighting = camera.lighting;
+  if (brightness !== null) {
+    lighting.brightness = brightness;
+    lighting.measuredAt = Date.now();
+  }
+  
+  const measured = lighting.brightness !== null && Date.now() - lighting.measuredAt < BRIGHTNESS_MAX_AGE;
+  let profile;
+  if (config.nightMode === 'clock' || (config.nightMode === 'auto' && !measured)) {
+    profile = isNightByClock(camera) ? 'night' : 'day';
+  } else if (!measured) {
+    profile = lighting.profile;
+  } else if (lighting.profile === 'night') {
+    profile = lighting.brightness > DAY_BRIGHTNESS ? 'day' : 'night';
+  } else {
+    profile = lighting.brightness < NIGHT_BRIGHTNESS ? 'night' : 'day';
+  }
+  
+  if (profile !== lighting.profile) {
+    console.log(`${profile === 'night' ? '🌙' : '☀️'} [${camera.id}] Switching to ${profile} profile (brightness ${lighting.brightness ?? 'n/a'})`);
+    lighting.profile = profile;
+  }
+  return LIGHTING_PROFILES[profile];
+}
+
+function getLightingProfile(camera) {
+  return LIGHTING_PROFILES[camera.lighting.profile];
+}
+
+// Reduced-confidence label for analyses that used night frames (null by day)
+function describeVisibility(camera, frames) {
+  const nightFrames = frames.filter(f => f.lighting === 'night');
+  if (nightFrames.length === 0) return null;
+  
+  const brightness = nightFrames.map(f => f.brightness).filter(b => b !== undefined && b !== null);
+  return {
+    profile: 'night',
+    reducedConfidence: true,
+    brightness: brightness.length ? Math.min(...brightness) : null,
+    label: 'Night - limited visibility, counts and levels are less certain',
+  };
+}
+
+// =============================================
+// LOCAL ANGLE CLASSIFIER (reference images)
+// =============================================
+// Compares each frame to a library of labelled reference images per angle:
+//   references/<cameraId>/<angleType>/*.jpg   (angleType may also be 'useless')
+// Similarity mixes a 64-bit difference hash (layout) with a 64-bin colour
+// histogram (green roof, orange pillar, vegetation). The Haiku vision
+// chain is only used when the local match is weak or ambiguous.
+
+const REFERENCE_MIN_SIMILARITY = 0.72;  // Best match must be at least this similar
+const REFERENCE_MIN_CONFIDENCE = 0.5;   // ...and clearly ahead of the runner-up
+const REFERENCE_MARGIN_SCALE = 0.1;     // Margin over the runner-up that counts as fully confident
+const VISION_CLASSIFICATION_CONFIDENCE = 0.7; // Nominal confidence for the LLM's categorical answer
+
+// Average luminance over a grid of cells (box downsample)
+function downsampleGray({ width, height, gray }, cols, rows) {
+  const cells = new Float32Array(cols * rows);
+  const counts = new Uint32Array(cols * rows);
+  
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(rows - 1, Math.floor((y * rows) / height));
+    for (let x = 0; x < width; x++) {
+      const cell = row * cols + Math.min(cols - 1, Math.floor((x * cols) / width));
+      cells[cell] += gray[y * width + x];
+      counts[cell]++;
+    }
+  }
+  
+  for (let i = 0; i < cells.length; i++) {
+    cells[i] = counts[i] ? cells[i] / counts[i] : 0;
+  }
+  return cells;
+}
+
+// Difference hash (size x size bits, 64 by default): is each cell brighter
+// than its right neighbour (by more than minStep grey levels)?
+function computeDifferenceHash(pixels, size = 8, minStep = 0) {
+  const cells = downsampleGray(pixels, size + 1, size);
+  const bits = new Uint8Array(size * size);
+  
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      bits[y * size + x] = cells[y * (size + 1) + x] > cells[y * (size + 1) + x + 1] + minStep ? 1 : 0;
+    }
+  }
+  return bits;
+}
+
+// Normalised 4x4x4 RGB histogram (every other pixel is plenty)
+function computeColorHistogram({ width, height, rgb }) {
+  const histogram = new Float32Array(64);
+  let total = 0;
+  
+  for (let i = 0; i < width * height; i += 2) {
+    const p = i * 3;
+    const bin = ((rgb[p] >> 6) << 4) | ((rgb[p + 1] >> 6) << 2) | (rgb[p + 2] >> 6);
+    histogram[bin]++;
+    total++;
+  }
+  
+  for (let i = 0; i < histogram.length; i++) {
+    histogram[i] /= total || 1;
+  }
+  return histogram;
+}
+
+function computeFrameFeatures(pixels) {
+  return {
+    hash: computeDifferenceHash(pixels),
+    histogram: computeColorHistogram(pixels),
+  };
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+// 0 (nothing alike) .. 1 (identical)
+function compareFeatures(a, b) {
+  const hashSimilarity = 1 - hammingDistance(a.hash, b.hash) / a.hash.length;
+  
+  let histogramIntersection = 0;
+  for (let i = 0; i < a.histogram.length; i++) {
+    histogramIntersection += Math.min(a.histogram[i], b.histogram[i]);
+  }
+  
+  return 0.5 * hashSimilarity + 0.5 * histogramIntersection;
+}
+
+// Reference images for one angle: the local directory plus any operator
+// corrections uploaded to Supabase (references/<cameraId>/<angle>/ in the frames bucket)
+async function readReferenceImages(camera, angleType) {
+  const images = new Map(); // fileName -> buffer
+  
+  const angleDir = path.join(config.referenceDir, camera.id, angleType);
+  try {
+    const files = (await fs.promises.readdir(angleDir)).filter(name => /\.jpe?g$/i.test(name));
+    for (const fileName of files) {
+      images.set(fileName, await fs.promises.readFile(path.join(angleDir, fileName)));
+    }
+  } catch {
+    // No local references for this angle
+  }
+  
+  if (supabase) {
+    const prefix = `references/${camera.id}/${angleType}`;
+    const { data: files } = await supabase.storage.from('frames').list(prefix, { limit: 1000 });
+    
+    for (const file of files || []) {
+      if (images.has(file.name) || !/\.jpe?g$/i.test(file.name)) continue;
+      const { data: fileData } = await supabase.storage.from('frames').download(`${prefix}/${file.name}`);
+      if (fileData) {
+        images.set(file.name, Buffer.from(await fileData.arrayBuffer()));
+      }
+    }
+  }
+  
+  return images;
+}
+
+// Load the camera's reference library (local references/<camera.id>/<angle>/*.jpg + stored corrections)
+async function loadReferenceLibrary(camera) {
+  const angleTypes = [...Object.keys(camera.angles), ANGLE_TYPES.USELESS];
+  const library = [];
+  
+  for (const angleType of angleTypes) {
+    let images;
+    try {
+      images = await readReferenceImages(camera, angleType);
+    } catch (err) {
+      console.log(`⚠️ [${camera.id}] Could not read ${angleType} references: ${err.message}`);
+      continue;
+    }
+    
+    for (const [fileName, image] of images) {
+      try {
+        library.push({
+          angleType,
+          source: fileName,
+          features: computeFrameFeatures(decodeJpeg(image)),
+        });
+      } catch (err) {
+        console.log(`⚠️ [${camera.id}] Skipping reference ${angleType}/${fileName}: ${err.message}`);
+      }
+    }
+  }
+  
+  camera.referenceLibrary = library;
+  
+  const counts = library.reduce((acc, ref) => {
+    acc[ref.angleType] = (acc[ref.angleType] || 0) + 1;
+    return acc;
+  }, {});
+  console.log(library.length > 0
+    ? `🖼️ [${camera.id}] Loaded ${library.length} reference images: ${JSON.stringify(counts)}`
+    : `🖼️ [${camera.id}] No reference images for ${camera.id} - classification will use the LLM`);
+}
+
+// Nearest-neighbour match against the library. Returns null without references.
+function classifyWithReferences(camera, features) {
+  if (camera.referenceLibrary.length === 0) return null;
+  
+  // Best similarity per angle
+  const scores = {};
+  for (const ref of camera.referenceLibrary) {
+    const similarity = compareFeatures(features, ref.features);
+    if (!(ref.angleType in scores) || similarity > scores[ref.angleType]) {
+      scores[ref.angleType] = similarity;
+    }
+  }
+  
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [angleType, similarity] = ranked[0];
+  const runnerUp = ranked[1] ? ranked[1][1] : 0;
+  const confidence = similarity * Math.min(1, (similarity - runnerUp) / REFERENCE_MARGIN_SCALE);
+  
+  const round = (n) => Math.round(n * 100) / 100;
+  return {
+    angleType,
+    similarity: round(similarity),
+    confidence: round(confidence),
+    scores: Object.fromEntries(ranked.map(([angle, score]) => [angle, round(score)])),
+  };
+}
+
+// Classify frame angle for a camera - only angles in its taxonomy are kept.
+// Resolves to { angleType, confidence (0-1), method, local, answers }
+async function classifyFrameAngle(camera, imageBuffer, features = null, lighting = LIGHTING_PROFILES.day) {
+  const local = features ? classifyWithReferences(camera, features) : null;
+  
+  if (local && local.similarity >= REFERENCE_MIN_SIMILARITY && local.confidence >= REFERENCE_MIN_CONFIDENCE) {
+    console.log(`📷 [${camera.id}] Frame classified locally as: ${local.angleType.toUpperCase()} (confidence ${local.confidence})`);
+    return { angleType: local.angleType, confidence: local.confidence, method: 'reference', local, answers: [] };
+  }
+  
+  // LLM busy with another frame - an unconfirmed local guess is never kept
+  if (camera.isClassifying) {
+    return { angleType: ANGLE_TYPES.USELESS, confidence: 0, method: 'skipped', local, answers: [] };
+  }
+  
+  if (local) {
+    console.log(`📷 [${camera.id}] Low local confidence (${local.angleType} ${local.confidence}) - asking the LLM`);
+  }
+  
+  camera.isClassifying = true;
+  try {
+    const { angleType, answers, failed } = await classifyFrameWithVision(imageBuffer, lighting);
+    
+    if (failed) {
+      return { angleType: ANGLE_TYPES.USELESS, confidence: 0, method: 'error', local, answers };
+    }
+    
+    if (angleType !== ANGLE_TYPES.USELESS && !camera.angles[angleType]) {
+      console.log(`📷 [${camera.id}] ${angleType} is not one of this camera's angles - treating as useless`);
+      return { angleType: ANGLE_TYPES.USELESS, confidence: VISION_CLASSIFICATION_CONFIDENCE, method: 'llm', local, answers };
+    }
+    
+    return { angleType, confidence: VISION_CLASSIFICATION_CONFIDENCE, method: 'llm', local, answers };
+  } finally {
+    camera.isClassifying = false;
+  }
+}
+
+// Classify frame angle using AI. Resolves to { angleType, answers, failed } where
+// answers holds the raw model reply for each step that ran and failed marks
+// an API error (angleType is then USELESS by default, not by judgement). The lighting
+// profile adds a low-light hint to every question at night.
+async function classifyFrameWithVision(imageBuffer, lighting = LIGHTING_PROFILES.day) {
+  const answers = [];
+  const hint = lighting.classificationHint;
+  
+  try {
+    const imageBase64 = imageBuffer.toString('base64');
+    
+    // STEP 0: Check if this is USELESS (trees/vegetation) FIRST
+    // Be aggressive - if we can't clearly see road/vehicles, it's useless
+    const uselessCheckResponse = await anthropic.messages.create({
+      model: 'claude-haiku-4-5-20251001',
+      max_tokens: 10,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: 'image/jpeg',
+              data: imageBase64,
+            },
+          },
+          {
+            type: 'text',
+            text: `Can you see any of these in this image?
+- A ROAD where vehicles drive (even if empty)
+- A BRIDGE structure over water (look for railings, pillars, street lights in a row)
+- VEHICLES or a traffic queue
+- A GREEN METAL ROOF structure (canopy)
+
+If the image is MOSTLY trees, vegetation, bushes, hillside, or sky - answer NO.
+If you can see a road, bridge, vehicles, or green roof structure - answer YES.
+${hint}
+Answer only YES or NO.`
+          }
+        ],
+      }],
+    });
+    
+    const uselessResult = uselessCheckResponse.content[0].text.trim().toUpperCase();
+    answers.push({ step: 'road_visible', answer: uselessResult });
+    console.log(`📷 ROAD/VEHICLES visible check: ${uselessResult}`);
+    
+    // If NO road/vehicles visible, it's USELESS
+    if (uselessResult.includes('NO')) {
+      console.log(`📷 Frame classified as: USELESS (no road/vehicles visible)`);
+      return { angleType: ANGLE_TYPES.USELESS, answers };
+    }
+    
+    // STEP 1: Check if this is WIDE (Engen view) with a simple yes/no question
+    const wideCheckResponse = await anthropic.messages.create({
+      model: 'claude-haiku-4-5-20251001',
+      max_tokens: 10,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: 'image/jpeg',
+              data: imageBase64,
+            },
+          },
+          {
+            type: 'text',
+            text: `Is this a WIDE VIEW showing a PAVED ROAD going into the distance with an ENGEN petrol station or buildings visible?
+
+IMPORTANT: If the image is MOSTLY TREES, VEGETATION, or HILLSIDE - answer NO.
+Only answer YES if you can clearly see a paved road AND buildings/petrol station.
+${hint}
+Answer only YES or NO.`
+          }
+        ],
+      }],
+    });
+    
+    const wideResult = wideCheckResponse.content[0].text.trim().toUpperCase();
+    answers.push({ step: 'wide_view', answer: wideResult });
+    console.log(`📷 WIDE check: ${wideResult}`);
+    
+    if (wideResult.includes('YES')) {
+      console.log(`📷 Frame classified as: WIDE`);
+      return { angleType: ANGLE_TYPES.WIDE, answers };
+    }
+    
+    // STEP 2: If not USELESS or WIDE, classify between BRIDGE and PROCESSING
+    const classifyResponse = await anthropic.messages.create({
+      model: 'claude-haiku-4-5-20251001',
+      max_tokens: 20,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: 'image/jpeg',
+              data: imageBase64,
+            },
+          },
+          {
+            type: 'text',
+            text: `What do you see? Answer with ONLY ONE WORD:
+
+BRIDGE - if you see an ORANGE/RED PILLAR and bridge over water
+PROCESSING - if you see a GREEN METAL ROOF overhead
+USELESS - if neither
+${hint}
+ONE WORD ONLY:`
+          }
+        ],
+      }],
+    });
+    
+    const rawResult = classifyResponse.content[0].text.trim().toUpperCase();
+    answers.push({ step: 'bridge_or_processing', answer: rawResult.substring(0, 100) });
+    
+    // Extract ONLY the first word to prevent false matches from explanations
+    const firstWord = rawResult.split(/[\s\n.,!?]+/)[0];
+    console.log(`📷 Frame classified as: ${firstWord}`);
+    
+    // Use exact matching on the first word only
+    if (firstWord === 'BRIDGE') return { angleType: ANGLE_TYPES.BRIDGE, answers };
+    if (firstWord === 'PROCESSING') return { angleType: ANGLE_TYPES.PROCESSING, answers };
+    
+    // Log if we got an unexpected response for debugging
+    if (firstWord !== 'USELESS') {
+      console.log(`⚠️ Unexpected classification response: "${rawResult.substring(0, 100)}"`);
+    }
+    
+    return { angleType: ANGLE_TYPES.USELESS, answers };
+    
+  } catch (error) {
+    console.error('❌ Classification failed:', error.message);
+    answers.push({ step: 'error', answer: error.message });
+    return { angleType: ANGLE_TYPES.USELESS, answers, failed: true };
+  }
+}
+
+// =============================================
+// CLASSIFICATION LOG & REVIEW QUEUE
+// =============================================
+// Every classification is kept in memory with its frame, method, confidence
+// and the raw model answers. Saved frames, and a sample of the rest (one per
+// CLASSIFICATION_SAMPLE_MS per camera), are persisted to the
+// frame_classifications table off the capture path; rows and uploaded review
+// frames expire after CLASSIFICATION_RETENTION_DAYS.
+// Operators confirm or correct labels from the admin dashboard; corrections
+// become reference images so the local classifier learns from them.
+
+const CLASSIFICATION_LOG_SIZE = 200;     // Recent classifications kept in memory per camera
+const REVIEW_CONFIDENCE_THRESHOLD = 0.8; // Frames below this are preferred for review
+const CLASSIFICATION_SAMPLE_MS = 5 * 60 * 1000;           // Unsaved frames persisted at most this often
+const CLASSIFICATION_RETENTION_DAYS = 14;
+const CLASSIFICATION_CLEANUP_INTERVAL = 60 * 60 * 1000;   // Retention job runs hourly
+const CLASSIFICATION_CLEANUP_BATCH = 500;
+
+function serializeClassification(entry) {
+  const { image, ...rest } = entry;
+  return {
+    ...rest,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    hasFrame: !!(image || entry.framePath),
+  };
+}
+
+// Record a classification for the review queue and persist it to Supabase
+async function recordClassification(camera, { timestamp, image, classification, sharpness, outcome, framePath = null }) {
+  const entry = {
+    id: `${camera.id}-${timestamp}`,
+    camera: camera.id,
+    timestamp,
+    angleType: classification.angleType,
+    method: classification.method,
+    confidence: classification.confidence,
+    scores: classification.local?.scores || null,
+    answers: classification.answers,
+    sharpness: Math.round(sharpness * 10) / 10,
+    outcome,
+    framePath,
+    image,
+    review: null, // { status: 'confirmed'|'corrected', angleType, reviewedAt }
+  };
+  
+  camera.classifications.push(entry);
+  if (camera.classifications.length > CLASSIFICATION_LOG_SIZE) {
+    camera.classifications = camera.classifications.slice(-CLASSIFICATION_LOG_SIZE);
+  }
+  
+  if (!supabase) return entry;
+  
+  // Saved frames are already in storage. The rest would be a row (and, for
+  // uncertain ones, an upload) every 20 seconds - keep a sample.
+  if (!entry.framePath) {
+    if (timestamp - camera.lastClassificationSample < CLASSIFICATION_SAMPLE_MS) return entry;
+    camera.lastClassificationSample = timestamp;
+    
+    if (entry.method === 'llm' || entry.confidence < REVIEW_CONFIDENCE_THRESHOLD) {
+      entry.framePath = await uploadToStorage(`${camera.id}/classifications/${timestamp}.jpg`, image);
+    }
+  }
+  
+  try {
+    const { error } = await supabase
+      .from('frame_classifications')
+      .insert({
+        id: entry.id,
+        camera_id: camera.id,
+        timestamp: new Date(timestamp).toISOString(),
+        angle_type: entry.angleType,
+        method: entry.method,
+        confidence: entry.confidence,
+        scores: entry.scores,
+        answers: entry.answers,
+        sharpness: entry.sharpness,
+        outcome: entry.outcome,
+        frame_path: entry.framePath,
+        review_status: 'pending'
+      });
+    
+    if (error) {
+      console.error('❌ Failed to log classification:', error.message);
+    }
+  } catch (err) {
+    console.error('❌ Classification log error:', err.message);
+  }
+  
+  return entry;
+}
+
+// Drop classification rows past retention, and the review frames uploaded for
+// them (saved frames belong to the frame store and are left alone)
+async function cleanupClassifications() {
+  if (!supabase) return;
+  
+  const cutoff = new Date(Date.now() - CLASSIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  let removed = 0;
+  
+  try {
+    for (;;) {
+      const { data, error } = await supabase
+        .from('frame_classifications')
+        .select('id, frame_path')
+        .lt('timestamp', cutoff)
+        .limit(CLASSIFICATION_CLEANUP_BATCH);
+      
+      if (error) throw new Error(error.message);
+      if (!data?.length) break;
+      
+      const files = data
+        .map(row => row.frame_path)
+        .filter(framePath => framePath?.includes('/classifications/'))
+        .map(framePath => framePath.replace(/^.*\/frames\//, ''));
+      if (files.length) {
+        const { error: storageError } = await supabase.storage.from('frames').remove(files);
+        if (storageError) console.error('❌ Failed to remove classification frames:', storageError.message);
+      }
+      
+      const { error: deleteError } = await supabase
+        .from('frame_classifications')
+        .delete()
+        .in('id', data.map(row => row.id));
+      if (deleteError) throw new Error(deleteError.message);
+      
+      removed += data.length;
+      if (data.length < CLASSIFICATION_CLEANUP_BATCH) break;
+    }
+    
+    if (removed) console.log(`🧹 Removed ${removed} classifications older than ${CLASSIFICATION_RETENTION_DAYS} days`);
+  } catch (err) {
+    console.error('❌ Classification cleanup failed:', err.message);
+  }
+}
+
+function startClassificationRetention() {
+  if (!supabase) return;
+  cleanupClassifications();
+  setInterval(cleanupClassifications, CLASSIFICATION_CLEANUP_INTERVAL).unref();
+}
+
+function findClassification(id) {
+  for (const camera of cameras.values()) {
+    const entry = camera.classifications.find(c => c.id === id);
+    if (entry) return { camera, entry };
+  }
+  return null;
+}
+
+// Pending reviews first, least confident first
+function getReviewQueue(camera, { status = 'pending', limit = 30 } = {}) {
+  const entries = camera.classifications.filter(c => {
+    if (status === 'pending') return !c.review;
+    if (status === 'reviewed') return !!c.review;
+    return true;
+  });
+  
+  if (status === 'pending') {
+    entries.sort((a, b) => a.confidence - b.confidence || b.timestamp - a.timestamp);
+  } else {
+    entries.sort((a, b) => b.timestamp - a.timestamp);
+  }
+  
+  return entries.slice(0, limit);
+}
+
+// Image bytes for a classification - from memory, or from storage after a restart
+async function getClassificationImage(entry) {
+  if (entry.image) return entry.image;
+  if (!supabase || !entry.framePath) return null;
+  
+  const { data: fileData } = await supabase.storage
+    .from('frames')
+    .download(entry.framePath.replace(/^.*\/frames\//, ''));
+  
+  return fileData ? Buffer.from(await fileData.arrayBuffer()) : null;
+}
+
+// Save a corrected frame as a reference image and add it to the live library
+async function addReferenceImage(camera, angleType, image, fileName) {
+  const features = computeFrameFeatures(decodeJpeg(image));
+  
+  try {
+    const angleDir = path.join(config.referenceDir, camera.id, angleType);
+    await fs.promises.mkdir(angleDir, { recursive: true });
+    await fs.promises.writeFile(path.join(angleDir, fileName), image);
+  } catch (err) {
+    console.log(`⚠️ [${camera.id}] Could not write reference ${angleType}/${fileName}: ${err.message}`);
+  }
+  
+  // Local disk doesn't survive redeploys - keep a copy in storage too
+  await uploadToStorage(`references/${camera.id}/${angleType}/${fileName}`, image);
+  
+  camera.referenceLibrary.push({ angleType, source: fileName, features });
+  console.log(`🖼️ [${camera.id}] Added ${angleType} reference ${fileName} (${camera.referenceLibrary.length} total)`);
+}
+
+// Confirm or correct a classification. Corrections feed the reference set.
+async function reviewClassification(camera, entry, angleType) {
+  const corrected = angleType !== entry.angleType;
+  entry.review = {
+    status: corrected ? 'corrected' : 'confirmed',
+    angleType,
+    reviewedAt: new Date().toISOString(),
+  };
+  
+  let referenceAdded = false;
+  if (corrected) {
+    const image = await getClassificationImage(entry);
+    if (image) {
+      await addReferenceImage(camera, angleType, image, `review-${entry.timestamp}.jpg`);
+      referenceAdded = true;
+    }
+  }
+  
+  if (supabase) {
+    const { error } = await supabase
+      .from('frame_classifications')
+      .update({
+        review_status: entry.review.status,
+        corrected_angle: corrected ? angleType : null,
+        reviewed_at: entry.review.reviewedAt
+      })
+      .eq('id', entry.id);
+    
+    if (error) {
+      console.error('❌ Failed to save classification review:', error.message);
+    }
+  }
+  
+  console.log(`📝 [${camera.id}] Classification ${entry.id} ${entry.review.status}${corrected ? `: ${entry.angleType} → ${angleType}` : ''}`);
+  return referenceAdded;
+}
+
+// Restore unreviewed classifications after a restart (images come from storage)
+async function loadClassificationsFromDB() {
+  if (!supabase) return;
+  
+  try {
+    const { data, error } = await supabase
+      .from('frame_classifications')
+      .select('*')
+      .eq('review_status', 'pending')
+      .not('frame_path', 'is', null)
+      .order('timestamp', { ascending: false })
+      .limit(CLASSIFICATION_LOG_SIZE);
+    
+    if (error) {
+      console.error('❌ Failed to load classifications:', error.message);
+      return;
+    }
+    
+    for (const row of (data || []).reverse()) {
+      const camera = getCamera(row.camera_id);
+      if (!camera) continue;
+      
+      camera.classifications.push({
+        id: row.id,
+        camera: camera.id,
+        timestamp: new Date(row.timestamp).getTime(),
+        angleType: row.angle_type,
+        method: row.method,
+        confidence: row.confidence,
+        scores: row.scores,
+        answers: row.answers || [],
+        sharpness: row.sharpness,
+        outcome: row.outcome,
+        framePath: row.frame_path,
+        image: null,
+        review: null,
+      });
+    }
+    
+    console.log(`📝 Restored ${data?.length || 0} classifications awaiting review`);
+  } catch (err) {
+    console.error('❌ Error loading classifications:', err.message);
+  }
+}
+
+const app = express();
+
+// Compression with filter to skip SSE streams
+app.use(compression({
+  filter: (req, res) => {
+    // Don't compress SSE streams - gzip buffers events until the response ends
+    if (req.path === '/api/chat/stream' || req.path === '/api/live') {
+      return false;
+    }
+    if (String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) {
+      return false;
+    }
+    return compression.filter(req, res);
+  }
+}));
+
+app.use(cors());
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// =============================================
+// FRAME SOURCES (pluggable capture inputs)
+// =============================================
+// Every source exposes the same shape: { type, describe(), grab() }
+// grab() resolves to a JPEG Buffer (800px wide) or throws.
+// Persistent sources also offer grabBurst(count), getStats() and pause()
+// (stop reading until the next grab - used while the border is closed).
+// This lets us replay recorded footage offline and add new feeds
+// without copying the capture/blur/classify/preserve sequence.
+
+const FFMPEG_TIMEOUT_MS = 25000;
+const FRAME_OUTPUT_ARGS = ['-vframes', '1', '-q:v', '2', '-vf', 'scale=800:-1', '-f', 'image2pipe', '-vcodec', 'mjpeg', 'pipe:1'];
+
+// Run ffmpeg once and collect a single JPEG from stdout (no shared temp file)
+function grabFrameWithFfmpeg(inputArgs) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ['-y', ...inputArgs, ...FRAME_OUTPUT_ARGS]);
+    const chunks = [];
+    let settled = false;
+
+    const finish = (err, buffer) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve(buffer);
+    };
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      finish(new Error('ffmpeg timeout'));
+    }, FFMPEG_TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on('data', () => {}); // Drain stderr so ffmpeg never blocks on it
+
+    ffmpeg.on('close', (code) => {
+      const buffer = Buffer.concat(chunks);
+      if (code === 0 && buffer.length > 0) {
+        finish(null, buffer);
+      } else {
+        finish(new Error(`ffmpeg failed with code ${code}`));
+      }
+    });
+
+    ffmpeg.on('error', (err) => finish(err));
+  });
+}
+
+// Long-lived ffmpeg reader: keeps the stream open and decodes keyframes
+// continuously, so grab() returns the latest frame without a cold start.
+// Restarts automatically with exponential backoff when ffmpeg dies or stalls.
+const READER_RECENT_FRAMES = 10;             // Decoded frames kept in memory
+const READER_STALL_MS = 30000;               // No frame for 30s = stalled, restart
+const READER_BACKOFF_BASE_MS = 1000;
+const READER_BACKOFF_MAX_MS = 60000;
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+function createPersistentFfmpegSource(type, location, inputArgs) {
+  let ffmpeg = null;
+  let pending = Buffer.alloc(0);
+  let recentFrames = [];          // [{ image, timestamp }] oldest first
+  let waiters = [];               // Resolvers waiting for the next frame
+  let restartAttempts = 0;
+  let restartTimer = null;
+  let startedAt = 0;
+  let lastGrabbedAt = 0;
+  let stopped = false;
+  let paused = false;             // Idle until the next grab
+  
+  const stats = {
+    starts: 0,
+    framesDecoded: 0,
+    lastFrameAt: null,
+    lastExit: null,
+  };
+
+  function start() {
+    paused = false;
+    if (ffmpeg || restartTimer || stopped) return;
+    
+    stats.starts++;
+    startedAt = Date.now();
+    pending = Buffer.alloc(0);
+    console.log(`▶️ Starting persistent ${type} reader (start #${stats.starts})`);
+    
+    ffmpeg = spawn('ffmpeg', [
+      '-skip_frame', 'nokey',     // Only decode keyframes - sharp and cheap
+      ...inputArgs,
+      '-fps_mode', 'passthrough',
+      '-q:v', '2',
+      '-vf', 'scale=800:-1',
+      '-f', 'image2pipe',
+      '-vcodec', 'mjpeg',
+      'pipe:1'
+    ]);
+    
+    ffmpeg.stdout.on('data', handleData);
+    ffmpeg.stderr.on('data', () => {}); // Drain stderr so ffmpeg never blocks on it
+    
+    ffmpeg.on('close', (code, signal) => {
+      ffmpeg = null;
+      stats.lastExit = { code, signal, at: Date.now() };
+      scheduleRestart(`exited (code ${code}${signal ? `, ${signal}` : ''})`);
+    });
+    
+    ffmpeg.on('error', (err) => {
+      console.error(`❌ Persistent ${type} reader error:`, err.message);
+    });
+  }
+  
+  function scheduleRestart(reason) {
+    if (stopped || paused || restartTimer) return;
+    
+    const delay = Math.min(READER_BACKOFF_BASE_MS * 2 ** restartAttempts, READER_BACKOFF_MAX_MS);
+    restartAttempts++;
+    console.log(`🔁 Persistent ${type} reader ${reason} - restarting in ${Math.round(delay / 1000)}s`);
+    
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      start();
+    }, delay);
+  }
+  
+  // Split the mjpeg byte stream into individual JPEG frames
+  function handleData(chunk) {
+    pending = Buffer.concat([pending, chunk]);
+    
+    let end = pending.indexOf(JPEG_EOI);
+    while (end !== -1) {
+      const image = pending.subarray(0, end + JPEG_EOI.length);
+      pending = pending.subarray(end + JPEG_EOI.length);
+      addFrame(Buffer.from(image));
+      end = pending.indexOf(JPEG_EOI);
+    }
+  }
+  
+  function addFrame(image) {
+    const frame = { image, timestamp: Date.now() };
+    
+    recentFrames.push(frame);
+    if (recentFrames.length > READER_RECENT_FRAMES) {
+      recentFrames.shift();
+    }
+    
+    stats.framesDecoded++;
+    stats.lastFrameAt = frame.timestamp;
+    restartAttempts = 0; // Healthy again - reset backoff
+    
+    const ready = waiters;
+    waiters = [];
+    ready.forEach(resolve => resolve());
+  }
+  
+  // Kill ffmpeg if it stops producing frames (close handler restarts it)
+  const watchdog = setInterval(() => {
+    if (!ffmpeg) return;
+    const lastActivity = Math.max(stats.lastFrameAt || 0, startedAt);
+    if (Date.now() - lastActivity > READER_STALL_MS) {
+      console.error(`⚠️ Persistent ${type} reader stalled - killing ffmpeg`);
+      ffmpeg.kill('SIGKILL');
+    }
+  }, 10000);
+  watchdog.unref();
+  
+  function waitForFrame(timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        waiters = waiters.filter(w => w !== onFrame);
+        reject(new Error(`No frame from ${type} reader within ${Math.round(timeoutMs / 1000)}s`));
+      }, timeoutMs);
+      const onFrame = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      waiters.push(onFrame);
+    });
+  }
+  
+  const framesSinceLastGrab = () => recentFrames.filter(f => f.timestamp > lastGrabbedAt);
+  
+  // Resolve up to `count` frames decoded since the previous grab (newest last).
+  // Waits for the first new frame, then up to burstWindowMs for the rest.
+  async function grabBurst(count = 1, burstWindowMs = 0) {
+    start();
+    
+    if (framesSinceLastGrab().length === 0) {
+      await waitForFrame(FFMPEG_TIMEOUT_MS);
+    }
+    
+    const deadline = Date.now() + burstWindowMs;
+    while (framesSinceLastGrab().length < count && Date.now() < deadline) {
+      try {
+        await waitForFrame(deadline - Date.now());
+      } catch {
+        break; // Window closed - use what we have
+      }
+    }
+    
+    const frames = framesSinceLastGrab().slice(-count);
+    lastGrabbedAt = frames[frames.length - 1].timestamp;
+    return frames.map(f => f.image);
+  }
+  
+  // Let go of the stream between sparse captures; the next grab restarts it
+  function pause() {
+    if (paused || stopped) return;
+    paused = true;
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    restartAttempts = 0;
+    if (ffmpeg) {
+      console.log(`⏸️ Pausing persistent ${type} reader`);
+      ffmpeg.kill('SIGKILL');
+    }
+  }
+  
+  function stop() {
+    stopped = true;
+    clearInterval(watchdog);
+    clearTimeout(restartTimer);
+    if (ffmpeg) ffmpeg.kill('SIGKILL');
+  }
+  
+  process.once('exit', stop);
+  
+  return {
+    type,
+    describe: () => location,
+    async grab() {
+      const frames = await grabBurst(1);
+      return frames[0];
+    },
+    grabBurst,
+    pause,
+    getStats: () => ({
+      ...stats,
+      running: !!ffmpeg,
+      paused,
+      restartPending: !!restartTimer,
+      restartAttempts,
+      bufferedFrames: recentFrames.length,
+    }),
+    stop,
+  };
+}
+
+// Live HLS playlist (the default Maseru Bridge feed) - kept open between captures
+function createHlsSource(url) {
+  return createPersistentFfmpegSource('hls', url, ['-i', url]);
+}
+
+// RTSP camera (TCP transport is far more reliable over the internet)
+function createRtspSource(url) {
+  return createPersistentFfmpegSource('rtsp', url, ['-rtsp_transport', 'tcp', '-i', url]);
+}
+
+// One-shot HLS grab (spawns ffmpeg per frame) - fallback if the persistent reader misbehaves
+function createOneShotHlsSource(url) {
+  return {
+    type: 'hls-oneshot',
+    describe: () => url,
+    grab: () => grabFrameWithFfmpeg(['-i', url]),
+  };
+}
+
+// Local video file - advances through the recording on each grab, loops at the end
+function createVideoFileSource(filePath, stepSeconds = 20) {
+  let position = 0;
+  
+  return {
+    type: 'file',
+    describe: () => `${filePath} @ ${position}s`,
+    async grab() {
+      try {
+        const frame = await grabFrameWithFfmpeg(['-ss', String(position), '-i', filePath]);
+        position += stepSeconds;
+        return frame;
+      } catch (err) {
+        if (position === 0) throw err;
+        // Ran past the end of the recording - start over
+        console.log(`🔁 Reached end of ${path.basename(filePath)}, looping`);
+        position = 0;
+        const frame = await grabFrameWithFfmpeg(['-ss', '0', '-i', filePath]);
+        position = stepSeconds;
+        return frame;
+      }
+    },
+  };
+}
+
+// Directory of JPEGs - replays them in filename order, looping
+function createJpegDirectorySource(dirPath) {
+  let index = 0;
+  
+  return {
+    type: 'directory',
+    describe: () => `${dirPath} (#${index})`,
+    async grab() {
+      const files = (await fs.promises.readdir(dirPath))
+        .filter(name => /\.jpe?g$/i.test(name))
+        .sort();
+      
+      if (files.length === 0) {
+        throw new Error(`No JPEG files in ${dirPath}`);
+      }
+      
+      const fileName = files[index % files.length];
+      index = (index + 1) % files.length;
+      return fs.promises.readFile(path.join(dirPath, fileName));
+    },
+  };
+}
+
+function createFrameSource(type, location) {
+  switch (type) {
+    case 'hls': return createHlsSource(location);
+    case 'hls-oneshot': return createOneShotHlsSource(location);
+    case 'rtsp': return createRtspSource(location);
+    case 'file': return createVideoFileSource(location, config.fileSourceStepSeconds);
+    case 'directory': return createJpegDirectorySource(location);
+    default:
+      throw new Error(`Unknown frame source type: ${type}`);
+  }
+}
+
+// =============================================
+// CAPTURE PIPELINE
+// =============================================
+// grab → blur check → classify → save decision → buffer/preserve/upload
+// 'always' mode saves every sharp frame (on-demand API captures)
+// 'smart' mode only saves when the camera angle changes (background loop)
+
+// Decide whether a classified frame is worth keeping in smart mode
+function decideSmartSave(camera, angleType, timestamp) {
+  const timeSinceLastChange = timestamp - camera.lastAngleChangeTime;
+  const isNewAngle = angleType !== camera.lastCapturedAngle && angleType !== 'useless';
+  const tooLongSameAngle = timeSinceLastChange > 180000; // 3 minutes without change
+  
+  if (isNewAngle) {
+    // Camera moved to a new angle - SAVE!
+    camera.consecutiveSameAngle = 0;
+    camera.lastAngleChangeTime = timestamp;
+    return { shouldSave: true, reason: 'angle changed' };
+  }
+  if (tooLongSameAngle && angleType !== 'useless') {
+    // Been too long, save anyway to keep frame fresh
+    camera.consecutiveSameAngle++;
+    return { shouldSave: true, reason: 'refresh (same angle)' };
+  }
+  if (angleType === 'useless') {
+    // Useless frame - check but don't increment
+    return { shouldSave: false, reason: 'useless (skipped)' };
+  }
+  // Same angle, not time to refresh yet
+  camera.consecutiveSameAngle++;
+  return { shouldSave: false, reason: `same angle (${camera.consecutiveSameAngle}x)` };
+}
+
+// Add frame to the camera's buffer, preserve it per angle and persist to Supabase.
+// Resolves to the storage path if the frame was uploaded.
+async function saveFrame(camera, frameData) {
+  const { screenshot, timestamp, angleType } = frameData;
+  let framePath = null;
+  
+  camera.screenshotBuffer.push(frameData);
+  invalidateResponseCache(camera, angleType, timestamp);
+  publishLiveFrame(camera, frameData);
+  if (angleType !== ANGLE_TYPES.USELESS) scheduleStatusSnapshot(camera);
+  
+  // Also preserve the latest frame for each useful angle type
+  if (angleType !== 'useless' && camera.preservedFrames.hasOwnProperty(angleType)) {
+    camera.preservedFrames[angleType] = frameData;
+    
+    // Upload to Supabase Storage and update database
+    framePath = await uploadFrameToStorage(camera.id, screenshot, angleType, timestamp);
+    if (framePath) {
+      await updatePreservedFrame(camera.id, angleType, framePath, timestamp);
+      await logFrameHistory(camera.id, angleType, framePath, timestamp);
+    }
+  }
+  
+  // Keep only recent frames in main buffer
+  if (camera.screenshotBuffer.length > config.maxBufferSize) {
+    camera.screenshotBuffer = camera.screenshotBuffer.slice(-config.maxBufferSize);
+  }
+  
+  // Record successful capture for camera status tracking
+  recordCaptureSuccess(camera, angleType);
+  
+  return framePath;
+}
+
+// Run the detector on a freshly saved frame and feed the camera's time series.
+// Analyses reuse the result through the per-frame detection cache.
+async function recordFrameCounts(camera, frameData) {
+  const { angleType, timestamp } = frameData;
+  if (!camera.angles[angleType]?.detectorView) return null;
+  
+  const counts = await detectFrame(camera, frameData);
+  if (!counts) return null;
+  
+  frameData.counts = counts;
+  
+  if (angleType === ANGLE_TYPES.BRIDGE) {
+    camera.trafficHistory.addReading(counts, null, timestamp);
+  } else if (angleType === ANGLE_TYPES.PROCESSING) {
+    camera.trafficHistory.addReading(null, counts, timestamp);
+  }
+  
+  await logVehicleCounts(camera.id, angleType, timestamp, counts);
+  return counts;
+}
+
+// Run one pass of the capture pipeline. Resolves to the captured image or null.
+async function runCapturePipeline(camera, { mode = 'always' } = {}) {
+  if (camera.isCapturing) {
+    console.log(`⏳ [${camera.id}] Capture already in progress`);
+    return null;
+  }
 
-    // =============================================
-    // STEP 2: Build prompt with KNOWN counts
-    // =============================================
-    // Claude generates friendly text - it does NOT infer direction
+  const source = camera.source;
+  camera.isCapturing = true;
+  let frames;
+  
+  try {
+    if (mode === 'always') {
+      console.log(`📸 [${camera.id}] Capturing frame from ${source.type} source...`);
+    }
+    // Persistent sources can sample several frames - we keep the sharpest one
+    frames = source.grabBurst
+      ? await source.grabBurst(config.framesPerCapture, config.burstWindowMs)
+      : [await source.grab()];
+  } catch (err) {
+    console.error(`❌ [${camera.id}] Frame capture failed (${source.type}):`, err.message);
+    recordCaptureFailure(camera);
+    return null;
+  } finally {
+    camera.isCapturing = false;
+  }
+  
+  try {
+    const timestamp = Date.now();
+    
+    const best = pickSharpestFrame(camera, frames);
+    if (!best) {
+      console.log(`⏭️ [${camera.id}] No decodable frame - skipping`);
+      return null;
+    }
+    const { image: imageBuffer, sharpness, pixels } = best;
+    
+    // Day or night thresholds, prompts and detector settings for this frame
+    const brightness = computeBrightness(pixels);
+    const lighting = updateLighting(camera, brightness);
+    
+    // Check for motion blur BEFORE classification
+    const blurry = isImageBlurry(camera, sharpness);
+    recordSharpness(camera, null, sharpness);
+    if (blurry) {
+      // Skip blurry frames entirely - don't waste API call on classification
+      console.log(`⏭️ [${camera.id}] Skipping blurry frame`);
+      return null;
+    }
+    
+    // Classify the frame angle (local reference match first, LLM fallback)
+    const features = computeFrameFeatures(pixels);
+    const classification = await classifyFrameAngle(camera, imageBuffer, features, lighting);
+    const { angleType } = classification;
+    const frozen = recordFrameFingerprint(camera, angleType, computeFrameFingerprint(pixels), timestamp);
+    
+    // Persisted in the background - storage and DB latency stay off the capture path
+    const logClassification = (outcome, framePath = null) => {
+      if (classification.method === 'skipped') return;
+      recordClassification(camera, { timestamp, image: imageBuffer, classification, sharpness, outcome, framePath })
+        .catch(err => console.error(`❌ [${camera.id}] Classification log failed:`, err.message));
+    };
+    
+    // Stricter check against what this angle normally looks like
+    const blurryForAngle = angleType !== ANGLE_TYPES.USELESS && isImageBlurry(camera, sharpness, angleType);
+    recordSharpness(camera, angleType, sharpness);
+    if (blurryForAngle) {
+      logClassification('blurry for angle');
+      return null;
+    }
+    
+    // Kept anyway - the frozen status warns users and the model
+    if (frozen) {
+      console.log(`🧊 [${camera.id}] Frame unchanged for ${formatDuration((timestamp - camera.cameraStatus.unchangedSince) / 60000)}`);
+    }
+    
+    const { shouldSave, reason } = mode === 'smart'
+      ? decideSmartSave(camera, angleType, timestamp)
+      : { shouldSave: true, reason: 'on-demand' };
+    
+    if (shouldSave) {
+      const frameData = {
+        screenshot: imageBuffer,
+        timestamp,
+        angleType,
+        sharpness,
+        confidence: classification.confidence,
+        classificationMethod: classification.method,
+        lighting: lighting.name,
+        brightness,
+      };
+      const framePath = await saveFrame(camera, frameData);
+      
+      // Count vehicles now so history doesn't depend on someone chatting.
+      // Not awaited - a slow detector mustn't hold up capture.
+      if (angleType !== ANGLE_TYPES.USELESS) {
+        recordFrameCounts(camera, frameData).catch(err => {
+          console.error(`❌ [${camera.id}] Capture-time detection failed:`, err.message);
+        });
+      }
+      console.log(`✅ [${camera.id}] Frame SAVED (${angleType}) - ${reason}. Buffer: ${JSON.stringify(countFramesByAngle(camera))}`);
+      logClassification(`saved: ${reason}`, framePath);
+    } else {
+      console.log(`⏭️ [${camera.id}] Frame skipped (${angleType}) - ${reason}`);
+      logClassification(`skipped: ${reason}`);
+    }
     
-    // Extract breakdown if available
-    const breakdown = detectorCounts?.breakdown || {};
-    const lsToSaBreakdown = breakdown.LS_to_SA || { cars: 0, trucks: 0, buses: 0 };
-    const saToLsBreakdown = breakdown.SA_to_LS || { cars: 0, trucks: 0, buses: 0 };
+    // Update last captured angle (for non-useless frames)
+    if (mode === 'smart' && angleType !== 'useless') {
+      camera.lastCapturedAngle = angleType;
+    }
     
-    // Build trend info string
-    const trendInfoString = trendSummary ? `
-📈 TRAFFIC TREND (based on recent history):
-${trendSummary}
-` : '';
+    return imageBuffer;
+  } catch (err) {
+    console.error(`❌ [${camera.id}] Failed to process captured frame:`, err.message);
+    recordCaptureFailure(camera);
+    return null;
+  }
+}
 
-    // Build Engen queue note (only if queue detected - otherwise don't mention)
-    const engenNote = engenQueueDetected 
-      ? `\n  📍 NOTE: Queue stretches past Engen petrol station!`
-      : '';
-    
-    const countsInfo = detectorCounts && !detectorCounts.direction_uncertain
-      ? `
-VEHICLE COUNTS (automated detection):
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• LS→SA (Lesotho to South Africa): COMBINED COUNT
-  - Bridge: ${lsToSaCount} vehicles (far lane, away from orange pillar)
-  - Canopy RIGHT side: ${lsToSaCanopyCount} vehicles (heading toward SA)
-  - TOTAL: ${combinedLsToSa} vehicles
-  Breakdown: ${lsToSaBreakdown.cars} cars, ${lsToSaBreakdown.trucks} trucks, ${lsToSaBreakdown.buses} buses
-  Status: ${lsToSaStatus}${engenNote}
+// On-demand capture for API calls - falls back to the latest buffered frame
+async function captureFrame(camera) {
+  const imageBuffer = await runCapturePipeline(camera, { mode: 'always' });
+  return imageBuffer || getLatestScreenshot(camera);
+}
+
+// Get the latest screenshot for display
+function getLatestScreenshot(camera) {
+  const buffer = camera.screenshotBuffer;
+  if (buffer.length > 0) {
+    return buffer[buffer.length - 1].screenshot;
+  }
+  return null;
+}
+
+// =============================================
+// TRAVEL CALENDAR (holidays, school holidays, paydays)
+// =============================================
+// Lesotho + South Africa public holidays, school holidays, month-end /
+// payday windows and the Easter/Christmas peaks, from data/calendar.json
+// (override with CALENDAR_FILE). Used to tag readings, shape forecasts
+// and insights, and warn users in chat.
+
+let travelCalendar = null;
+const calendarYearCache = new Map();  // year → { 'YYYY-MM-DD': [{ country, name }] }
+const calendarDayCache = new Map();   // 'YYYY-MM-DD' → context
+
+const CALENDAR_COUNTRY_NAMES = { LS: 'Lesotho', SA: 'South Africa' };
+
+async function loadCalendar() {
+  try {
+    travelCalendar = JSON.parse(await fs.promises.readFile(config.calendarFile, 'utf8'));
+    calendarYearCache.clear();
+    calendarDayCache.clear();
+    console.log(`📅 Travel calendar loaded from ${config.calendarFile}`);
+  } catch (err) {
+    console.error(`⚠️ No travel calendar (${err.message}) - holidays and paydays won't be considered`);
+    travelCalendar = null;
+  }
+}
+
+// Local date as YYYY-MM-DD
+function toDateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Easter Sunday (Gregorian, anonymous algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Public holidays of one year, keyed by date
+function publicHolidaysForYear(year) {
+  if (calendarYearCache.has(year)) return calendarYearCache.get(year);
   
-• SA→LS (South Africa to Lesotho): COMBINED COUNT
-  - Bridge: ${saToLsCount} vehicles (near lane, by orange pillar)
-  - Canopy LEFT side: ${saToLsCanopyCount} vehicles (entering/queuing)
-  - TOTAL: ${combinedSaToLs} vehicles
-  Breakdown: ${saToLsBreakdown.cars} cars, ${saToLsBreakdown.trucks} trucks, ${saToLsBreakdown.buses} buses
-  Status: ${saToLsStatus}
+  const holidays = {};
+  const add = (date, country, name) => {
+    const key = toDateKey(date);
+    (holidays[key] = holidays[key] || []).push({ country, name });
+  };
+  const easter = easterSunday(year);
+  
+  for (const [country, spec] of Object.entries(travelCalendar?.publicHolidays || {})) {
+    for (const { date, name } of spec.fixed || []) {
+      const [month, day] = date.split('-').map(Number);
+      const holiday = new Date(year, month - 1, day);
+      add(holiday, country, name);
+      if (spec.sundayMovesToMonday && holiday.getDay() === 0) {
+        add(addDays(holiday, 1), country, `${name} (observed)`);
+      }
+    }
+    for (const { offset, name } of spec.easter || []) {
+      add(addDays(easter, offset), country, name);
+    }
+  }
+  
+  calendarYearCache.set(year, holidays);
+  return holidays;
+}
+
+// Everything the calendar says about one day
+function getCalendarContext(date = new Date()) {
+  const key = toDateKey(date);
+  if (calendarDayCache.has(key)) return calendarDayCache.get(key);
+  
+  const calendar = travelCalendar || {};
+  const year = date.getFullYear();
+  const day = date.getDate();
+  const monthDay = key.slice(5);
+  
+  const holidays = publicHolidaysForYear(year)[key] || [];
+  
+  const schoolHolidays = [];
+  for (const [country, ranges] of Object.entries(calendar.schoolHolidays || {})) {
+    for (const range of ranges) {
+      if (key >= range.from && key <= range.to) schoolHolidays.push({ country, name: range.name });
+    }
+  }
+  
+  const paydays = calendar.paydays || {};
+  const monthEnd = paydays.monthEndFromDay !== undefined &&
+    (day >= paydays.monthEndFromDay || day <= paydays.monthEndUntilDay);
+  const payday = monthEnd || (paydays.midMonthDays || []).includes(day);
+  
+  // Peaks: Easter-relative or MM-DD ranges (a range may wrap past New Year)
+  const easter = easterSunday(year);
+  const peaks = (calendar.peaks || []).filter(peak => {
+    if (peak.easterFrom !== undefined) {
+      return key >= toDateKey(addDays(easter, peak.easterFrom)) && key <= toDateKey(addDays(easter, peak.easterTo));
+    }
+    return peak.from <= peak.to
+      ? monthDay >= peak.from && monthDay <= peak.to
+      : monthDay >= peak.from || monthDay <= peak.to;
+  }).map(peak => peak.name);
+  
+  const tags = [];
+  for (const country of new Set(holidays.map(h => h.country))) tags.push(`holiday_${country.toLowerCase()}`);
+  for (const country of new Set(schoolHolidays.map(h => h.country))) tags.push(`school_holiday_${country.toLowerCase()}`);
+  if (monthEnd) tags.push('month_end');
+  if (payday) tags.push('payday');
+  if (peaks.length > 0) tags.push('peak');
+  
+  const context = {
+    date: key,
+    holidays,
+    schoolHolidays,
+    monthEnd,
+    payday,
+    peaks,
+    tags,
+    busy: holidays.length > 0 || peaks.length > 0, // Expect much more traffic than usual
+  };
+  
+  calendarDayCache.set(key, context);
+  return context;
+}
+
+// Short description of a day's calendar events ('' for an ordinary day)
+function describeCalendarDay(context) {
+  const parts = [
+    ...context.peaks,
+    ...context.holidays.map(h => `${h.name} (${CALENDAR_COUNTRY_NAMES[h.country] || h.country})`),
+  ];
+  const schoolCountries = [...new Set(context.schoolHolidays.map(h => CALENDAR_COUNTRY_NAMES[h.country] || h.country))];
+  if (schoolCountries.length > 0) parts.push(`${schoolCountries.join(' & ')} school holidays`);
+  if (context.monthEnd) parts.push('month-end payday period');
+  else if (context.payday) parts.push('payday');
+  return parts.join(', ');
+}
+
+// Days in the next `days` (from tomorrow) with holidays or peaks
+function getUpcomingCalendarEvents(from = new Date(), days = 7) {
+  const events = [];
+  for (let i = 1; i <= days; i++) {
+    const context = getCalendarContext(addDays(from, i));
+    if (context.busy) {
+      events.push({ date: context.date, daysAway: i, description: describeCalendarDay(context), tags: context.tags });
+    }
+  }
+  return events;
+}
+
+// Calendar note for the system prompt ('' when nothing is going on)
+function formatCalendarForPrompt(now = new Date()) {
+  const today = getCalendarContext(now);
+  const todayText = describeCalendarDay(today);
+  const upcoming = getUpcomingCalendarEvents(now, 3);
+  
+  if (!todayText && upcoming.length === 0) return '';
+  
+  const lines = [];
+  if (todayText) lines.push(`• TODAY: ${todayText}`);
+  for (const event of upcoming) {
+    lines.push(`• ${event.daysAway === 1 ? 'Tomorrow' : `In ${event.daysAway} days`} (${event.date}): ${event.description}`);
+  }
+  
+  return `
+📅 CALENDAR (holidays and paydays bring extra border traffic):
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-${trendInfoString}
-🚨 CRITICAL - YOU MUST USE THESE EXACT COUNTS:
+${lines.join('\n')}
+- Mention this when it's relevant to when the user is crossing (e.g. "It's month-end, so expect it to get busier").
+- Don't mention it for off-topic questions.
+`;
+}
+
+// =============================================
+// WAIT-TIME ESTIMATION
+// =============================================
+// Per-direction estimate of the total wait, in minutes:
+//   vehicle queue (camera counts × minutes per vehicle, stretched or
+//   shortened by the trafficHistory trend) + passport control (crowdsourced
+//   wait_time reports for that direction's two checkpoints).
+// Returns a range and a confidence level instead of a single number.
+
+const MINUTES_PER_VEHICLE = 1.5;     // Average time for the queue to move up one vehicle
+const VEHICLE_WAIT_SPREAD = 0.35;    // ±35% around the count-based estimate
+const WAIT_TREND_ADJUSTMENT = 0.25;  // Building queue → longer, clearing → shorter
+const WAIT_REPORT_MAX_AGE_MIN = 45;  // Older reports no longer say much about the wait
+
+// Crowdsourced wait_time buckets in minutes
+const REPORTED_WAIT_MINUTES = {
+  'less_than_5': [0, 5],
+  '5_to_10': [5, 10],
+  '10_to_20': [10, 20],
+  '20_to_30': [20, 30],
+  '30_to_45': [30, 45],
+  '45_to_60': [45, 60],
+  'more_than_60': [60, 90],
+};
+
+// Passport control checkpoints a traveller passes through in each direction
+const DIRECTION_CHECKPOINTS = {
+  lsToSa: ['leaving_ls', 'entering_sa'],
+  saToLs: ['leaving_sa', 'entering_ls'],
+};
+
+// Reported passport-control wait for one direction, or null if nobody reported recently
+function reportedWaitForDirection(direction, reports) {
+  const now = Date.now();
+  let min = 0;
+  let max = 0;
+  let found = 0;
+  let newestAgeMin = Infinity;
+  
+  for (const checkpoint of DIRECTION_CHECKPOINTS[direction]) {
+    const report = reports.find(r => r.checkpoint === checkpoint);
+    const range = report && REPORTED_WAIT_MINUTES[report.wait_time];
+    if (!range) continue;
+    
+    const ageMin = (now - new Date(report.created_at).getTime()) / 60000;
+    if (ageMin > WAIT_REPORT_MAX_AGE_MIN) continue;
+    
+    min += range[0];
+    max += range[1];
+    found++;
+    newestAgeMin = Math.min(newestAgeMin, ageMin);
+  }
+  
+  if (found === 0) return null;
+  return { min, max, checkpoints: found, newestAgeMin: Math.round(newestAgeMin) };
+}
+
+// Vehicle-queue wait for one direction from the combined count and its trend
+function vehicleWaitForDirection(combined, directionTrend) {
+  const base = combined * MINUTES_PER_VEHICLE;
+  let min = base * (1 - VEHICLE_WAIT_SPREAD);
+  let max = base * (1 + VEHICLE_WAIT_SPREAD);
+  
+  if (directionTrend?.trend === 'building_up') {
+    max *= 1 + WAIT_TREND_ADJUSTMENT;
+  } else if (directionTrend?.trend === 'clearing') {
+    min *= 1 - WAIT_TREND_ADJUSTMENT;
+  }
+  
+  return { min, max };
+}
+
+function formatWaitRange(min, max) {
+  if (max < 5) return 'under 5 min';
+  if (min >= 60) return `over ${Math.floor(min / 60)} hour${min >= 120 ? 's' : ''}`;
+  return `${min}-${max} min`;
+}
+
+// Round to 5 minutes so the range doesn't look more precise than it is
+function roundWaitRange(min, max) {
+  const minMinutes = Math.round(min / 5) * 5;
+  const maxMinutes = Math.max(minMinutes + 5, Math.round(max / 5) * 5);
+  return { minMinutes, maxMinutes, label: formatWaitRange(minMinutes, maxMinutes) };
+}
+
+// Estimate for one direction
+function estimateDirectionWait(direction, { counts, trend, reports }) {
+  const vehicle = counts.mode === 'detector'
+    ? vehicleWaitForDirection(counts[direction].combined, trend?.[direction])
+    : null;
+  const reported = reportedWaitForDirection(direction, reports);
+  
+  if (!vehicle && !reported) {
+    return null;
+  }
+  
+  const basis = [];
+  let min = 0;
+  let max = 0;
+  
+  if (vehicle) {
+    min += vehicle.min;
+    max += vehicle.max;
+    basis.push(`${counts[direction].combined} vehicles queued`);
+    if (trend?.[direction]?.trend && trend[direction].trend !== 'stable') {
+      basis.push(`queue ${trend[direction].trend === 'building_up' ? 'building' : 'clearing'} (${trend[direction].slope} vehicles/min)`);
+    }
+  }
+  if (reported) {
+    min += reported.min;
+    max += reported.max;
+    basis.push(`${reported.checkpoints} traveller report${reported.checkpoints > 1 ? 's' : ''} (newest ${reported.newestAgeMin} min ago)`);
+  }
+  
+  // Both sources + settled trend → high; one source → medium/low
+  let confidence = 'low';
+  if (vehicle && reported) {
+    confidence = trend?.confidence === 'high' ? 'high' : 'medium';
+  } else if (vehicle || reported.checkpoints === DIRECTION_CHECKPOINTS[direction].length) {
+    confidence = 'medium';
+  }
+  
+  return {
+    ...roundWaitRange(min, max),
+    confidence,
+    includesPassportControl: !!reported,
+    basis,
+  };
+}
+
+// { lsToSa, saToLs } - each an estimate or null when there's nothing to go on
+function estimateWaitTimes({ counts, trend, reports }) {
+  return {
+    lsToSa: estimateDirectionWait('lsToSa', { counts, trend, reports }),
+    saToLs: estimateDirectionWait('saToLs', { counts, trend, reports }),
+  };
+}
+
+// Wait estimate block for the system prompt
+function formatWaitEstimateForPrompt(waitEstimate) {
+  const line = (name, estimate) => estimate
+    ? `• ${name}: ${estimate.label} (${estimate.confidence} confidence - ${estimate.basis.join(', ')})${estimate.includesPassportControl ? '' : '\n  Vehicle queue only - passport control not reported'}`
+    : `• ${name}: No estimate - not enough data`;
+  
+  return `
+⏱️ ESTIMATED WAIT (vehicle queue + passport control):
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-- LS→SA: Report "${combinedLsToSa} vehicles" (bridge ${lsToSaCount} + canopy right ${lsToSaCanopyCount})
-- SA→LS: Report "${combinedSaToLs} vehicles" (bridge ${saToLsCount} + canopy left ${saToLsCanopyCount})
-- DO NOT make up different numbers - the detector counts are accurate!
-- If "Queue stretches past Engen" is noted, MENTION this for LS→SA direction.
+${line('LS→SA', waitEstimate.lsToSa)}
+${line('SA→LS', waitEstimate.saToLs)}
+- When asked "how long will I wait?", give THIS range - do not invent your own numbers.
+- If confidence is low, say it's a rough estimate.
+`;
+}
 
-🔺 CANOPY DIRECTION RULES (CRITICAL):
-- Canopy RIGHT side = LS→SA traffic (heading TO South Africa)
-- Canopy LEFT side = SA→LS traffic (entering to go to Lesotho)
-- The pink/colored vehicles on the RIGHT are going TO South Africa, NOT entering Lesotho!
-- TRUST the automated counts above, do NOT re-interpret directions!
-`
-      : `
-⚠️ Automated vehicle detection unavailable. Use your visual assessment of ALL camera views.
-Check the bridge, processing/canopy area, and approach road for queues.
+// =============================================
+// TRAFFIC FORECAST (30-minute slots, hours ahead)
+// =============================================
+// Typical combined count per weekday + half hour from the last few weeks
+// of traffic_readings, shifted by how far today currently is from typical
+// (fading out over a couple of hours) and scaled up on holidays, peaks and
+// paydays (see TRAVEL CALENDAR). Each slot gets a level (using the thresholds in force at that
+// time) and a vehicle-queue wait range.
+
+const FORECAST_HISTORY_DAYS = 28;
+const FORECAST_HISTORY_TTL = 15 * 60 * 1000;       // Re-query history at most every 15 minutes
+const FORECAST_PAGE_SIZE = 1000;                    // Rows per request - PostgREST's default max-rows
+const FORECAST_SLOT_MINUTES = 30;
+const FORECAST_MAX_HOURS = 24;
+const FORECAST_MIN_SAMPLES = 3;                    // Per bucket before it counts as "typical"
+const FORECAST_DEVIATION_DECAY_MIN = 90;           // Today's deviation halves roughly every hour
+const FORECAST_CURRENT_MAX_AGE = 15 * 60 * 1000;   // Older analyses don't describe "now"
+const CALENDAR_DEFAULT_FACTORS = { busy: 1.4, payday: 1.25 }; // Until history has enough such days
+const CALENDAR_FACTOR_MIN_SAMPLES = 20;
+
+const forecastHistoryCache = new Map(); // cameraId → { loadedAt, readings }
+
+// Which calendar effect applies on a date: holidays/peaks beat paydays
+function calendarEffect(date) {
+  const context = getCalendarContext(date);
+  if (context.busy) return 'busy';
+  if (context.payday) return 'payday';
+  return null;
+}
+
+function slotOfDay(date) {
+  return date.getHours() * 2 + Math.floor(date.getMinutes() / FORECAST_SLOT_MINUTES);
+}
+
+// Readings logged before counts were stored only have a level - map it to
+// a representative count so old and new rows can be averaged together
+function countFromLevel(limits, level) {
+  switch (level) {
+    case 'LIGHT': return limits.light / 2;
+    case 'MODERATE': return (limits.light + 1 + limits.moderate) / 2;
+    case 'HEAVY': return limits.moderate + 3;
+    case 'SEVERE': return limits.severe ?? limits.moderate * 2;
+    default: return null;
+  }
+}
+
+// Recent readings for a camera as { time, lsToSa, saToLs } counts (cached)
+async function getForecastHistory(camera) {
+  const cached = forecastHistoryCache.get(camera.id);
+  if (cached && Date.now() - cached.loadedAt < FORECAST_HISTORY_TTL) {
+    return cached.readings;
+  }
+  if (!supabase) return [];
+  
+  // Rows from before multi-camera have no camera_id and belong to the default camera
+  const cameraFilter = camera.id === DEFAULT_CAMERA_ID
+    ? `camera_id.eq.${camera.id},camera_id.is.null`
+    : `camera_id.eq.${camera.id}`;
+  
+  // PostgREST caps each response (1000 rows by default) - page through in timestamp order
+  const since = new Date(Date.now() - FORECAST_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const rows = [];
+  for (let from = 0; ; from += FORECAST_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('traffic_readings')
+      .select('timestamp, ls_to_sa_count, sa_to_ls_count, ls_to_sa_status, sa_to_ls_status')
+      .or(cameraFilter)
+      .gte('timestamp', since)
+      .order('timestamp', { ascending: true })
+      .range(from, from + FORECAST_PAGE_SIZE - 1);
+    
+    if (error) {
+      throw new Error(error.message);
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < FORECAST_PAGE_SIZE) break;
+  }
+  
+  const readings = [];
+  for (const row of rows) {
+    const time = new Date(row.timestamp);
+    const reading = { time, effect: calendarEffect(time), lsToSa: row.ls_to_sa_count, saToLs: row.sa_to_ls_count };
+    
+    if (reading.lsToSa === null || reading.saToLs === null) {
+      const thresholds = getEffectiveThresholds(camera, time);
+      reading.lsToSa ??= countFromLevel(thresholds.lsToSa, row.ls_to_sa_status);
+      reading.saToLs ??= countFromLevel(thresholds.saToLs, row.sa_to_ls_status);
+    }
+    readings.push(reading);
+  }
+  
+  forecastHistoryCache.set(camera.id, { loadedAt: Date.now(), readings });
+  return readings;
+}
+
+// Typical count for a direction at a given time. Falls back from
+// "same weekday + half hour" to "same weekday ± half hour" to "any weekday".
+function typicalCountAt(readings, direction, at) {
+  const day = at.getDay();
+  const slot = slotOfDay(at);
+  const values = (match) => readings
+    .filter(r => r[direction] !== null && match(r))
+    .map(r => r[direction]);
+  
+  const candidates = [
+    values(r => r.time.getDay() === day && slotOfDay(r.time) === slot),
+    values(r => r.time.getDay() === day && Math.abs(slotOfDay(r.time) - slot) <= 1),
+    values(r => slotOfDay(r.time) === slot),
+  ];
+  
+  for (const samples of candidates) {
+    if (samples.length >= FORECAST_MIN_SAMPLES) {
+      const mean = samples.reduce((sum, v) => sum + v, 0) / samples.length;
+      return { count: mean, samples: samples.length };
+    }
+  }
+  return null;
+}
+
+// How much busier days with a calendar effect are than ordinary days, from history
+function calendarFactor(readings, direction, effect) {
+  const affected = readings.filter(r => r[direction] !== null && r.effect === effect);
+  const normal = readings.filter(r => r[direction] !== null && !r.effect);
+  if (affected.length < CALENDAR_FACTOR_MIN_SAMPLES || normal.length < CALENDAR_FACTOR_MIN_SAMPLES) {
+    return CALENDAR_DEFAULT_FACTORS[effect];
+  }
+  
+  const mean = (list) => list.reduce((sum, r) => sum + r[direction], 0) / list.length;
+  const normalMean = mean(normal);
+  if (normalMean === 0) return CALENDAR_DEFAULT_FACTORS[effect];
+  return Math.min(2.5, Math.max(1, mean(affected) / normalMean));
+}
+
+// Current combined count for a direction, if a recent detector analysis exists
+function currentDirectionCount(camera, direction) {
+  const latest = camera.latestAnalysis;
+  if (!latest?.counts || latest.counts.mode !== 'detector') return null;
+  if (Date.now() - new Date(latest.timestamp).getTime() > FORECAST_CURRENT_MAX_AGE) return null;
+  return latest.counts[direction].combined;
+}
+
+// Forecast for one direction ('lsToSa' | 'saToLs') over the next `hours`
+async function forecastTraffic(camera, direction, hours = 6) {
+  const readings = await getForecastHistory(camera);
+  const now = new Date();
+  
+  // Ordinary days define "typical"; holidays, peaks and paydays are applied on top
+  const normalReadings = readings.filter(r => !r.effect);
+  const baseline = normalReadings.length >= FORECAST_MIN_SAMPLES ? normalReadings : readings;
+  const factors = {
+    busy: calendarFactor(readings, direction, 'busy'),
+    payday: calendarFactor(readings, direction, 'payday'),
+  };
+  const factorAt = (date) => {
+    const effect = calendarEffect(date);
+    return effect ? factors[effect] : 1;
+  };
+  
+  // How far from typical are we right now?
+  const current = currentDirectionCount(camera, direction);
+  const typicalNow = typicalCountAt(baseline, direction, now);
+  const deviation = current !== null && typicalNow
+    ? current - typicalNow.count * factorAt(now)
+    : 0;
+  
+  // Slots start at the current half hour
+  const firstSlot = new Date(now);
+  firstSlot.setMinutes(Math.floor(now.getMinutes() / FORECAST_SLOT_MINUTES) * FORECAST_SLOT_MINUTES, 0, 0);
+  
+  const slots = [];
+  for (let i = 0; i < hours * (60 / FORECAST_SLOT_MINUTES); i++) {
+    const start = new Date(firstSlot.getTime() + i * FORECAST_SLOT_MINUTES * 60000);
+    const end = new Date(start.getTime() + FORECAST_SLOT_MINUTES * 60000);
+    const midpoint = new Date((start.getTime() + end.getTime()) / 2);
+    
+    // No queue to forecast while the post is shut
+    if (!isBorderOpenAt(camera, start)) {
+      slots.push({ start: start.toISOString(), end: end.toISOString(), status: 'CLOSED', closed: true, expectedCount: null, wait: null, confidence: 'none', samples: 0, calendar: null });
+      continue;
+    }
+    
+    const typical = typicalCountAt(baseline, direction, start);
+    if (!typical) {
+      slots.push({ start: start.toISOString(), end: end.toISOString(), status: null, expectedCount: null, wait: null, confidence: 'none', samples: 0, calendar: null });
+      continue;
+    }
+    
+    const minutesAhead = Math.max(0, (midpoint - now) / 60000);
+    const expected = Math.max(0,
+      typical.count * factorAt(start) +
+      deviation * Math.exp(-minutesAhead / FORECAST_DEVIATION_DECAY_MIN)
+    );
+    
+    const { level } = classifyDirectionLevel(getEffectiveThresholds(camera, start), direction, Math.round(expected));
+    const vehicleWait = vehicleWaitForDirection(expected, null);
+    
+    slots.push({
+      start: start.toISOString(),
+      end: end.toISOString(),
+      status: level,
+      expectedCount: Math.round(expected * 10) / 10,
+      wait: roundWaitRange(vehicleWait.min, vehicleWait.max),
+      confidence: typical.samples >= 8 ? 'high' : 'medium',
+      samples: typical.samples,
+      calendar: describeCalendarDay(getCalendarContext(start)) || null,
+    });
+  }
+  
+  // Quietest open slot with data - "when should I cross?"
+  const bestSlot = slots
+    .filter(s => !s.closed && s.expectedCount !== null)
+    .reduce((best, s) => (!best || s.expectedCount < best.expectedCount ? s : best), null);
+  
+  return {
+    direction,
+    hours,
+    generatedAt: now.toISOString(),
+    historyReadings: readings.length,
+    current: current,
+    deviation: Math.round(deviation * 10) / 10,
+    calendarFactors: {
+      busy: Math.round(factors.busy * 100) / 100,
+      payday: Math.round(factors.payday * 100) / 100,
+    },
+    bestSlot,
+    slots,
+  };
+}
+
+// Forecast block for the system prompt (timing questions)
+function formatForecastForPrompt(forecasts, timeZone) {
+  const time = (iso) => getZonedTime(new Date(iso), timeZone).clock;
+  const names = { lsToSa: 'LS→SA', saToLs: 'SA→LS' };
+  
+  const sections = forecasts.map(forecast => {
+    const withData = forecast.slots.filter(s => s.status && !s.closed);
+    if (withData.length === 0) {
+      return forecast.slots.some(s => s.closed)
+        ? `${names[forecast.direction]}: border closed for the forecast window - no slots to recommend`
+        : `${names[forecast.direction]}: not enough history to forecast yet`;
+    }
+    // Consecutive closed slots collapse into one line
+    const lines = [];
+    let closedRun = null;
+    for (const s of forecast.slots.filter(s => s.status)) {
+      if (s.closed) {
+        closedRun = closedRun ? { ...closedRun, end: s.end } : { start: s.start, end: s.end };
+        continue;
+      }
+      if (closedRun) lines.push(`  ${time(closedRun.start)}-${time(closedRun.end)}: BORDER CLOSED`);
+      closedRun = null;
+      lines.push(`  ${time(s.start)}-${time(s.end)}: ${s.status}, ~${s.expectedCount} vehicles, wait ${s.wait.label}${s.calendar ? ` (${s.calendar})` : ''}`);
+    }
+    if (closedRun) lines.push(`  ${time(closedRun.start)}-${time(closedRun.end)}: BORDER CLOSED`);
+    const best = forecast.bestSlot ? `\n  Quietest: ${time(forecast.bestSlot.start)}-${time(forecast.bestSlot.end)}` : '';
+    return `${names[forecast.direction]}:\n${lines.join('\n')}${best}`;
+  });
+  
+  return `
+🔮 FORECAST FOR THE NEXT FEW HOURS (from past weeks + today's conditions):
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${sections.join('\n\n')}
+- For "when should I cross?" questions, recommend the quietest slot for their direction. Never suggest a BORDER CLOSED slot.
+- It's a forecast from history, not a guarantee - say so briefly.
 `;
+}
+
+// =============================================
+// TRAFFIC ANALYSIS ENGINE
+// =============================================
+// One engine for every transport. /api/status and /api/chat go through
+// analyzeTraffic(); /api/chat/stream runs the same steps and streams the
+// model's reply. Frame selection, detection, traffic levels, prompts and
+// the final result all live here so they can't drift apart.
+
+const ANALYSIS_MODEL = 'claude-haiku-4-5-20251001';
+
+// Most recent frame from each useful angle (fresh preserved frames as fallback),
+// padded to 3 with older frames from the busiest angle.
+// Resolves to { success, framesToUse, anglesUsed } or { success: false, message }.
+function selectAnalysisFrames(camera) {
+  const { screenshotBuffer, preservedFrames } = camera;
+  
+  if (screenshotBuffer.length === 0) {
+    return {
+      success: false,
+      message: "No camera feed available. The stream might be temporarily offline. Please try again in a moment.",
+    };
+  }
+  
+  // Filter out useless frames and group by angle type
+  const usefulFrames = screenshotBuffer.filter(f => f.angleType !== ANGLE_TYPES.USELESS);
+  
+  if (usefulFrames.length === 0 && !Object.values(preservedFrames).some(Boolean)) {
+    return {
+      success: false,
+      message: "Camera view is currently limited. Please try again in a moment for a better view.",
+    };
+  }
+  
+  // Group frames by angle type
+  const framesByAngle = {};
+  usefulFrames.forEach(frame => {
+    if (!framesByAngle[frame.angleType]) {
+      framesByAngle[frame.angleType] = [];
+    }
+    framesByAngle[frame.angleType].push(frame);
+  });
+  
+  // Get the MOST RECENT frame from EACH useful angle type
+  const framesToUse = [];
+  const anglesUsed = [];
+  
+  // Priority follows the camera's angle order (Maseru: Bridge first - shows both directions)
+  const anglePriority = Object.keys(camera.angles);
+  
+  for (const angleType of anglePriority) {
+    if (framesByAngle[angleType] && framesByAngle[angleType].length > 0) {
+      // Get the most recent frame from this angle
+      const frames = framesByAngle[angleType];
+      framesToUse.push(frames[frames.length - 1]);
+      anglesUsed.push(angleType);
+    } else if (preservedFrames[angleType] && isFrameFresh(preservedFrames[angleType])) {
+      // Use preserved frame as fallback ONLY if it's fresh
+      framesToUse.push(preservedFrames[angleType]);
+      anglesUsed.push(angleType + ' (preserved)');
+    }
+  }
+  
+  // If we have less than 3 frames, add more from the most common angle
+  if (framesToUse.length < 3) {
+    // Find angle with most frames
+    let bestAngle = null;
+    let maxCount = 0;
+    for (const [angle, frames] of Object.entries(framesByAngle)) {
+      if (frames.length > maxCount) {
+        maxCount = frames.length;
+        bestAngle = angle;
+      }
+    }
+    
+    // Add older frames from best angle if needed
+    if (bestAngle && framesByAngle[bestAngle].length > 1) {
+      const additionalFrames = framesByAngle[bestAngle].slice(0, -1); // exclude the one we already added
+      for (const frame of additionalFrames.reverse()) {
+        if (framesToUse.length >= 3) break;
+        if (!framesToUse.includes(frame)) {
+          framesToUse.push(frame);
+        }
+      }
+    }
+  }
+  
+  if (framesToUse.length === 0) {
+    return {
+      success: false,
+      message: "Camera view is currently limited. Please try again in a moment for a better view.",
+    };
+  }
+  
+  return { success: true, framesToUse, anglesUsed };
+}
+
+// Structured traffic assessment for a set of frames. Direction comes from the
+// detector's GEOMETRY, not language inference - the model only words it.
+async function assessTraffic(camera, framesToUse) {
+  const { trafficHistory } = camera;
+  
+  // Bridge (direction counts), canopy (SA→LS queue) and wide/Engen (queue
+  // backup, informational only) frames are detected concurrently
+  const bridgeFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.BRIDGE);
+  const canopyFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.PROCESSING);
+  const wideFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.WIDE);
+  let engenQueueDetected = false;
+  
+  const [detectorCounts, canopyDetectorCounts, wideDetectorCounts] = await Promise.all([
+    detectFrame(camera, bridgeFrame),
+    detectFrame(camera, canopyFrame),
+    detectFrame(camera, wideFrame),
+  ]);
+  
+  if (canopyDetectorCounts) {
+    console.log(`🎯 Canopy Detector: SA→LS queue: ${canopyDetectorCounts.SA_to_LS || 0}, LS→SA area: ${canopyDetectorCounts.LS_to_SA || 0}`);
+  }
+  
+  if (wideDetectorCounts) {
+    const engenVehicles = wideDetectorCounts.LS_to_SA || wideDetectorCounts.total || 0;
+    console.log(`🎯 Engen Detector: ${engenVehicles} vehicles in queue area`);
+    
+    // If 2+ vehicles detected at Engen, queue has stretched past Engen
+    if (engenVehicles >= 2) {
+      engenQueueDetected = true;
+      console.log(`📍 Queue stretches past Engen (${engenVehicles} vehicles detected)`);
+    }
+  }
+  
+  const detection = describeDetection(bridgeFrame, detectorCounts);
+  if (detection.visualOnly) {
+    console.log(`👁️ Visual-only assessment (${detection.reason})`);
+  }
+  
+  // Get trend analysis
+  const trendInfo = trafficHistory.analyzeTrends();
+  const trendSummary = trafficHistory.getTrendSummary();
+  
+  // Determine traffic levels from detector counts
+  let lsToSaStatus = 'LIGHT';
+  let saToLsStatus = 'LIGHT';
+  let severeReasons = null;
+  let lsToSaCount = 0;
+  let saToLsCount = 0;
+  let saToLsCanopyCount = 0;
+  let lsToSaCanopyCount = 0;
+  
+  // Bridge counts
+  if (!detection.visualOnly) {
+    lsToSaCount = detectorCounts.LS_to_SA;
+    saToLsCount = detectorCounts.SA_to_LS;
+  }
+  
+  // Add canopy counts
+  if (canopyDetectorCounts) {
+    saToLsCanopyCount = canopyDetectorCounts.SA_to_LS || 0;  // Left side - entering canopy
+    lsToSaCanopyCount = canopyDetectorCounts.LS_to_SA || 0;  // Right side - heading to SA
+  }
+  
+  // Combined counts (bridge + canopy)
+  const combinedSaToLs = saToLsCount + saToLsCanopyCount;
+  const combinedLsToSa = lsToSaCount + lsToSaCanopyCount;
+  
+  const thresholds = getEffectiveThresholds(camera);
+  
+  if (!detection.visualOnly) {
+    // Determine status levels using COMBINED counts (bridge + canopy)
+    const context = { engenQueueDetected, trend: trendInfo };
+    const lsToSa = classifyDirectionLevel(thresholds, 'lsToSa', combinedLsToSa, context);
+    const saToLs = classifyDirectionLevel(thresholds, 'saToLs', combinedSaToLs, context);
+    lsToSaStatus = lsToSa.level;
+    saToLsStatus = saToLs.level;
+    severeReasons = { lsToSa: lsToSa.reason, saToLs: saToLs.reason };
+    
+    console.log(`📊 Traffic levels - LS→SA: ${lsToSaStatus} (bridge: ${lsToSaCount}, canopy: ${lsToSaCanopyCount}, combined: ${combinedLsToSa}${engenQueueDetected ? ', queue at Engen!' : ''}), SA→LS: ${saToLsStatus} (bridge: ${saToLsCount}, canopy: ${saToLsCanopyCount}, combined: ${combinedSaToLs})`);
+    
+    if (trendSummary) {
+      console.log(`📈 Trend: ${trendSummary}`);
+    }
+  } else if (detectorCounts?.direction_uncertain) {
+    console.log(`⚠️ Direction uncertain - too many unassigned vehicles`);
+  }
+  
+  // Extract breakdown if available
+  const breakdown = detectorCounts?.breakdown || {};
+  const lsToSaBreakdown = breakdown.LS_to_SA || { cars: 0, trucks: 0, buses: 0 };
+  const saToLsBreakdown = breakdown.SA_to_LS || { cars: 0, trucks: 0, buses: 0 };
+  
+  const counts = buildReadingCounts({
+    detection,
+    bridge: detectorCounts,
+    canopy: canopyDetectorCounts,
+    engen: wideDetectorCounts,
+    engenQueueDetected,
+    trend: trendInfo,
+    lsToSa: { bridge: lsToSaCount, canopy: lsToSaCanopyCount, combined: combinedLsToSa, level: lsToSaStatus, breakdown: lsToSaBreakdown },
+    saToLs: { bridge: saToLsCount, canopy: saToLsCanopyCount, combined: combinedSaToLs, level: saToLsStatus, breakdown: saToLsBreakdown },
+  });
+  
+  // Passport control reports feed both the wait estimate and the prompt
+  const queueReports = await getActiveQueueReports();
+  const waitEstimate = estimateWaitTimes({ counts, trend: trendInfo, reports: queueReports });
+  
+  return {
+    detection,
+    trendSummary,
+    thresholds,
+    severeReasons,
+    counts,
+    queueReports,
+    waitEstimate,
+    visibility: describeVisibility(camera, framesToUse),
+  };
+}
 
-    // Also add visual assessment reminder
-    const visualAssessmentReminder = `
+const TRAFFIC_FLOW_GUIDE = `
 ═══════════════════════════════════════════════════════════════
 MASERU BORDER TRAFFIC FLOW GUIDE
 ═══════════════════════════════════════════════════════════════
@@ -1266,327 +4375,1172 @@ CROSS-VIEW VALIDATION (use this to confirm traffic severity):
 ═══════════════════════════════════════════════════════════════
 `;
 
-    // Generate camera status warning for prompt
-    const cameraStatusWarning = (() => {
-      const camStatus = getCameraStatusInfo();
-      if (camStatus.status === 'down') {
-        return `
+// Detector counts block for the system prompt
+function formatCountsForPrompt(assessment) {
+  const { detection, trendSummary, counts } = assessment;
+  
+  if (detection.visualOnly) {
+    return `
+⚠️ Automated vehicle detection unavailable. Use your visual assessment of ALL camera views.
+Check the bridge, processing/canopy area, and approach road for queues.
+`;
+  }
+  
+  const { bridge: lsToSaCount, canopy: lsToSaCanopyCount, combined: combinedLsToSa, level: lsToSaStatus, breakdown: lsToSaBreakdown } = counts.lsToSa;
+  const { bridge: saToLsCount, canopy: saToLsCanopyCount, combined: combinedSaToLs, level: saToLsStatus, breakdown: saToLsBreakdown } = counts.saToLs;
+  
+  // Build trend info string
+  const trendInfoString = trendSummary ? `
+📈 TRAFFIC TREND (based on recent history):
+${trendSummary}
+` : '';
+
+  // Build Engen queue note (only if queue detected - otherwise don't mention)
+  const engenNote = counts.engenQueueDetected 
+    ? `\n  📍 NOTE: Queue stretches past Engen petrol station!`
+    : '';
+  
+  // Why a direction was rated SEVERE (count limit, Engen queue or rising trend)
+  const severeNote = (direction) => assessment.severeReasons?.[direction]
+    ? `\n  🚨 SEVERE: ${assessment.severeReasons[direction]}`
+    : '';
+  
+  return `
+VEHICLE COUNTS (automated detection):
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+• LS→SA (Lesotho to South Africa): COMBINED COUNT
+  - Bridge: ${lsToSaCount} vehicles (far lane, away from orange pillar)
+  - Canopy RIGHT side: ${lsToSaCanopyCount} vehicles (heading toward SA)
+  - TOTAL: ${combinedLsToSa} vehicles
+  Breakdown: ${lsToSaBreakdown.cars} cars, ${lsToSaBreakdown.trucks} trucks, ${lsToSaBreakdown.buses} buses
+  Status: ${lsToSaStatus}${severeNote('lsToSa')}${engenNote}
+  
+• SA→LS (South Africa to Lesotho): COMBINED COUNT
+  - Bridge: ${saToLsCount} vehicles (near lane, by orange pillar)
+  - Canopy LEFT side: ${saToLsCanopyCount} vehicles (entering/queuing)
+  - TOTAL: ${combinedSaToLs} vehicles
+  Breakdown: ${saToLsBreakdown.cars} cars, ${saToLsBreakdown.trucks} trucks, ${saToLsBreakdown.buses} buses
+  Status: ${saToLsStatus}${severeNote('saToLs')}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${trendInfoString}
+🚨 CRITICAL - YOU MUST USE THESE EXACT COUNTS:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+- LS→SA: Report "${combinedLsToSa} vehicles" (bridge ${lsToSaCount} + canopy right ${lsToSaCanopyCount})
+- SA→LS: Report "${combinedSaToLs} vehicles" (bridge ${saToLsCount} + canopy left ${saToLsCanopyCount})
+- DO NOT make up different numbers - the detector counts are accurate!
+- If "Queue stretches past Engen" is noted, MENTION this for LS→SA direction.
+
+🔺 CANOPY DIRECTION RULES (CRITICAL):
+- Canopy RIGHT side = LS→SA traffic (heading TO South Africa)
+- Canopy LEFT side = SA→LS traffic (entering to go to Lesotho)
+- The pink/colored vehicles on the RIGHT are going TO South Africa, NOT entering Lesotho!
+- TRUST the automated counts above, do NOT re-interpret directions!
+`;
+}
+
+// Camera health note for the system prompt
+function formatCameraStatusForPrompt(camera) {
+  const camStatus = getCameraStatusInfo(camera);
+  if (camStatus.status === 'down') {
+    return `
 🔴 CAMERA STATUS ALERT:
-The camera feed is currently unavailable. Let the user know that you cannot provide real-time updates, but offer historical patterns or suggest they check back later.
+The camera feed has been unavailable for ${camStatus.downFor}. Let the user know that you cannot provide real-time updates, but offer historical patterns or suggest they check back later.
 `;
-      } else if (camStatus.status === 'stuck_on_angle') {
-        const angleDescriptions = {
-          'bridge': 'the bridge approach',
-          'processing': 'the processing area', 
-          'wide': 'the wide Engen area view'
-        };
-        const desc = angleDescriptions[camStatus.stuckAngle] || camStatus.stuckAngle;
-        return `
+  } else if (camStatus.status === 'frozen') {
+    return `
+🧊 CAMERA STATUS ALERT:
+The camera feed appears frozen - the picture has not changed for ${camStatus.frozenFor}. Any camera images you have are NOT current, so do not describe them as live conditions. Tell the user the live view is unreliable right now and lean on traveler reports, recent history and typical patterns instead.
+`;
+  } else if (camStatus.status === 'stuck_on_angle') {
+    const desc = camera.angles[camStatus.stuckAngle]?.name || camStatus.stuckAngle;
+    return `
 📷 CAMERA STATUS NOTE:
-The camera is currently only showing ${desc}. Other views are not available. Mention this limitation if relevant to the user's question.
+The camera is currently only showing the ${desc}. Other views are not available. Mention this limitation if relevant to the user's question.
 `;
-      }
-      return '';
-    })();
-
-    // Get queue reports from users
-    const queueReportsPrompt = await formatQueueReportsForPrompt();
+  }
+  return '';
+}
 
-    const systemPrompt = `You are a friendly traffic assistant for Maseru Bridge border crossing between Lesotho and South Africa.
+async function buildSystemPrompt(camera, assessment, { forecasts = null } = {}) {
+  const countsInfo = formatCountsForPrompt(assessment);
+  const cameraStatusWarning = formatCameraStatusForPrompt(camera);
+  
+  // Get queue reports from users
+  const queueReportsPrompt = await formatQueueReportsForPrompt(assessment.queueReports);
+  const waitEstimateInfo = formatWaitEstimateForPrompt(assessment.waitEstimate);
+  const forecastInfo = forecasts ? formatForecastForPrompt(forecasts, camera.timeZone) : '';
+  const calendarInfo = formatCalendarForPrompt();
+  const borderHoursInfo = formatBorderHoursForPrompt(camera);
+  const visibilityInfo = assessment.visibility ? `
+🌙 NIGHT - LIMITED VISIBILITY:
+These are low-light frames. Vehicles without lights may be missed and counts are less certain.
+- Add a short note like "🌙 It's dark, so visibility is limited - treat this as a rough picture."
+- Don't sound more certain than the images allow.
+` : '';
+  
+  // Level limits in force right now (time-of-day baseline applied)
+  const { lsToSa: lsLimits, saToLs: saLimits } = assessment.thresholds;
+  
+  return `You are a friendly traffic assistant for ${camera.name} border crossing between Lesotho and South Africa.
 
-${visualAssessmentReminder}
+${TRAFFIC_FLOW_GUIDE}
 ${countsInfo}
 ${cameraStatusWarning}
+${visibilityInfo}
+${borderHoursInfo}
 ${queueReportsPrompt}
+${waitEstimateInfo}
+${forecastInfo}
+${calendarInfo}
 ═══════════════════════════════════════════════════════════════
 TRAFFIC LEVELS (assess EACH direction separately):
 ═══════════════════════════════════════════════════════════════
 
 For LS→SA (Lesotho to South Africa):
-• LIGHT: 0-3 vehicles, no queue on bridge far lane or canopy right side
-• MODERATE: 4-8 vehicles, some queue visible on bridge or canopy right
-• HEAVY: 8+ vehicles, clear queue on bridge AND canopy right side
+• LIGHT: 0-${lsLimits.light} vehicles, no queue on bridge far lane or canopy right side
+• MODERATE: ${lsLimits.light + 1}-${lsLimits.moderate} vehicles, some queue visible on bridge or canopy right
+• HEAVY: ${lsLimits.moderate + 1}+ vehicles, clear queue on bridge AND canopy right side
 • SEVERE: Queue extends significantly, long waits expected
 
 For SA→LS (South Africa to Lesotho):
-• LIGHT: 0-3 vehicles, no cars entering canopy
-• MODERATE: 4-8 vehicles, single row of cars queuing into canopy
-• HEAVY: 8+ vehicles, cars in 2 ROWS entering canopy, bridge lane backed up
+• LIGHT: 0-${saLimits.light} vehicles, no cars entering canopy
+• MODERATE: ${saLimits.light + 1}-${saLimits.moderate} vehicles, single row of cars queuing into canopy
+• HEAVY: ${saLimits.moderate + 1}+ vehicles, cars in 2 ROWS entering canopy, bridge lane backed up
 • SEVERE: Queue backs up to Engen/approach road (visible in WIDE view)
 
-⚠️ IMPORTANT NOTES:
-• Trucks in canopy area do NOT automatically mean delays - they process elsewhere
-• Only count trucks as causing delays if they are blocking car lanes
-• 2 rows of cars entering canopy = definite HEAVY traffic for SA→LS
-• If Engen/approach road shows queue = SEVERE for SA→LS
+⚠️ IMPORTANT NOTES:
+• Trucks in canopy area do NOT automatically mean delays - they process elsewhere
+• Only count trucks as causing delays if they are blocking car lanes
+• 2 rows of cars entering canopy = definite HEAVY traffic for SA→LS
+• If Engen/approach road shows queue = SEVERE for SA→LS
+
+═══════════════════════════════════════════════════════════════
+LANGUAGE RULES - EXTREMELY IMPORTANT:
+═══════════════════════════════════════════════════════════════
+
+❌ NEVER SAY (technical jargon):
+- "left side", "right side"
+- "orange pole", "wall area", "wall side"  
+- "green roof", "shelter structures", "canopy"
+- "Lesotho approach", "SA approach"
+- "processing area", "processing yard"
+- "Image 1", "Bridge view", "Canopy view"
+- "automated detection", "detector", "YOLO"
+- "user reports say" (just state the info naturally)
+
+✅ INSTEAD SAY (user-friendly):
+- "2-3 vehicles heading to SA"
+- "No queue forming"
+- "Bridge is clear"
+- "Light traffic in both directions"
+- "About 5 vehicles waiting"
+- "Based on a recent report from X minutes ago..."
+
+═══════════════════════════════════════════════════════════════
+RESPONSE STYLES BY QUESTION TYPE:
+═══════════════════════════════════════════════════════════════
+
+**OFF-TOPIC QUESTIONS** (weather, jokes, news, general knowledge, greetings, etc.):
+→ ⚠️ DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS] format!
+→ Keep response to 1-2 sentences MAX
+→ Be friendly, acknowledge their question briefly
+→ Mention what you CAN see from camera if relevant
+→ Include current status as just a word (LIGHT/MODERATE/HEAVY), not boxes
+→ Examples (follow these exactly):
+  - "Tell me a joke" → "I'm better at traffic updates than comedy! 😄 Traffic is LIGHT right now - great time to cross!"
+  - "How's the weather?" → "Can't check forecasts, but I see wet roads in the camera. Traffic is LIGHT though!"
+  - "Hi/Hello" → "Hi there! 👋 Traffic at Maseru Bridge is LIGHT right now. How can I help with your crossing?"
+  - "Thanks/Bye" → "Safe travels! 🚗 Traffic is LIGHT if you're heading out now."
+  - "Who are you?" → "I'm your Maseru Bridge traffic assistant! I monitor the border crossing 24/7. Traffic is LIGHT right now."
+
+**DIRECTION-SPECIFIC** ("I'm going from LS to SA"):
+→ Show both directions BUT personalize advice to THEIR direction
+→ Advice: "Your direction (LS→SA) looks clear - should be a quick crossing!"
+
+**YES/NO QUESTIONS** ("Is there a queue at Engen?"):
+→ Answer directly: "No, no queue at Engen right now. The approach road is clear."
+→ Don't use direction boxes format
+
+**VISUAL QUESTIONS** ("How does the bridge look?"):
+→ Simple description: "The bridge looks quiet - just a couple of vehicles, no queues visible."
+→ Don't use direction boxes format
+
+**TIME QUESTIONS** ("What time should I cross?"):
+→ Current: "Right now traffic is light."
+→ If a FORECAST section is included above, name the quietest upcoming slot for their direction: "Around 14:00-14:30 looks quietest for LS→SA."
+→ Tips: "Generally, early mornings (6-8 AM) are quieter. Avoid month-end and holidays."
+→ End: "Check back before you travel for real-time conditions!"
+
+**GENERAL/DEFAULT** ("How's traffic?", "Current status?"):
+→ Use standard format with BOTH direction boxes (see below)
+
+**BORDER INFO** ("What are the hours?"):
+→ "Border operates ${describeOperatingHours(camera.operatingHours)}. Check official sources to confirm."
+
+═══════════════════════════════════════════════════════════════
+STANDARD FORMAT (for general traffic questions):
+═══════════════════════════════════════════════════════════════
+
+**Traffic:** [One simple sentence]
+
+[LS_TO_SA]
+status: [LIGHT/MODERATE/HEAVY/SEVERE]
+detail: [Include WHERE the queue is - e.g., "About 10 vehicles on the bridge heading to SA." or "Queue extends past Engen petrol station." Keep it simple but location-specific.]
+[/LS_TO_SA]
+
+[SA_TO_LS]
+status: [LIGHT/MODERATE/HEAVY/SEVERE]
+detail: [Include WHERE the queue is - e.g., "3 on the bridge, 5 in the processing area." or "About 8 vehicles - some crossing, others queuing to enter Lesotho." Be specific about bridge vs processing area.]
+[/SA_TO_LS]
+
+**Advice:** [Practical, personalized if direction mentioned]
+
+⚠️ AI estimate from camera snapshots. Conditions change quickly.
+
+═══════════════════════════════════════════════════════════════
+REMEMBER:
+═══════════════════════════════════════════════════════════════
+1. Sound like a helpful friend, not a robot
+2. Keep details SHORT and SIMPLE but LOCATION-SPECIFIC
+3. If they mention their direction, focus advice on THEIR journey
+4. NEVER use technical camera terminology
+5. ALWAYS show both directions in standard format
+6. For OFF-TOPIC questions: Be friendly, acknowledge the question, share what you CAN see from the camera if relevant, give current traffic status, and redirect to traffic helpfully`;
+}
+
+// Check for off-topic questions first
+const OFF_TOPIC_KEYWORDS = [
+  'weather', 'rain', 'sunny', 'cold', 'hot', 'temperature',
+  'joke', 'funny', 'laugh',
+  'news', 'president', 'politics', 'election',
+  'sport', 'soccer', 'football', 'rugby', 'cricket',
+  'food', 'restaurant', 'eat',
+  'movie', 'music', 'song',
+  'hello', 'hi ', 'hey ', 'how are you', 'what\'s up', 'whats up',
+  'who are you', 'your name', 'what can you do',
+  'thank', 'thanks', 'bye', 'goodbye'
+];
+
+const TRAFFIC_KEYWORDS = [
+  'traffic', 'queue', 'border', 'crossing', 'bridge', 'vehicle', 'car', 'truck',
+  'wait', 'busy', 'congestion', 'flow', 'backed', 'clear', 'status',
+  'lesotho', 'south africa', 'maseru', 'ls', 'sa', 'ficksburg'
+];
+
+// Detect question type for better responses
+function detectQuestionType(userQuestion) {
+  const questionLower = userQuestion ? userQuestion.toLowerCase() : '';
+  
+  const hasOffTopicWord = OFF_TOPIC_KEYWORDS.some(word => questionLower.includes(word));
+  const hasTrafficWord = TRAFFIC_KEYWORDS.some(word => questionLower.includes(word));
+  
+  // If has off-topic keywords but NO traffic keywords, it's off-topic
+  if (hasOffTopicWord && !hasTrafficWord) {
+    return 'offtopic';
+  } else if (questionLower.includes('from ls') || questionLower.includes('from lesotho') || 
+      questionLower.includes('to sa') || questionLower.includes('to south africa') ||
+      questionLower.includes('from sa') || questionLower.includes('from south africa') ||
+      questionLower.includes('to ls') || questionLower.includes('to lesotho') ||
+      questionLower.includes('going to') || questionLower.includes('coming from') ||
+      questionLower.includes('heading to')) {
+    return 'directional';
+  } else if (questionLower.includes('is there') || questionLower.includes('are there') ||
+             questionLower.includes('any ') || questionLower.includes('is it ') ||
+             questionLower.match(/^(is|are|do|does|can|will)\b/)) {
+    return 'yesno';
+  } else if (questionLower.includes('look') || questionLower.includes('see') ||
+             questionLower.includes('show') || questionLower.includes('what can')) {
+    return 'visual';
+  } else if (questionLower.includes('time') || questionLower.includes('when') ||
+             questionLower.includes('best') || questionLower.includes('should i')) {
+    return 'timing';
+  } else if (questionLower.includes('hour') || questionLower.includes('open') ||
+             questionLower.includes('close')) {
+    return 'info';
+  }
+  return 'general';
+}
+
+// Images plus the question for the user turn
+function buildUserContent(camera, framesToUse, userQuestion) {
+  const questionType = detectQuestionType(userQuestion);
+  
+  // Build content array with multiple images
+  const content = framesToUse.map(frame => ({
+    type: 'image',
+    source: {
+      type: 'base64',
+      media_type: 'image/jpeg',
+      data: frame.screenshot.toString('base64'),
+    },
+  }));
+
+  let userPrompt;
+  if (!userQuestion) {
+    userPrompt = `Analyze these camera snapshots from ${camera.name} border crossing. Give a brief, structured assessment using the standard format with both direction boxes.`;
+  } else if (questionType === 'offtopic') {
+    userPrompt = `Question type: OFF-TOPIC
+User's question: "${userQuestion}"
+
+⚠️ IMPORTANT: This is an off-topic question. DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS].
+Give a SHORT 1-2 sentence friendly response. Acknowledge their question, mention what you can see from the camera if relevant, and include current traffic status as just a word (LIGHT/MODERATE/HEAVY).
+Example format: "I'm better at traffic than jokes! 😄 Traffic is LIGHT right now - great time to cross!"`;
+  } else {
+    userPrompt = `Question type: ${questionType.toUpperCase()}
+User's question: "${userQuestion}"
+
+Respond appropriately for this question type. Be helpful and conversational.`;
+  }
+
+  content.push({
+    type: 'text',
+    text: userPrompt
+  });
+  
+  return content;
+}
+
+// Frames as sent to the frontend (carousel shows exactly what was analyzed)
+function serializeAnalyzedFrames(camera, framesToUse) {
+  return framesToUse.map(f => ({
+    angleType: f.angleType,
+    timestamp: f.timestamp,
+    label: camera.angles[f.angleType]?.label || 'Unknown',
+    // Convert buffer to base64 for frontend display
+    imageData: f.screenshot ? f.screenshot.toString('base64') : null
+  }));
+}
+
+// Everything up to the model call: detection, levels and prompts.
+// Transports then either create() or stream() the request.
+// "When should I cross today?" and friends get the slot forecast in the prompt
+function wantsForecast(userQuestion) {
+  if (!userQuestion) return false;
+  return detectQuestionType(userQuestion) === 'timing' ||
+    /best\s*time|when\s*should|later\s*(today|on)|tonight|this\s*(morning|afternoon|evening)/i.test(userQuestion);
+}
+
+// Both directions' forecasts, or null if there's no history to go on
+async function getForecastsForPrompt(camera) {
+  try {
+    return await Promise.all(['lsToSa', 'saToLs'].map(direction => forecastTraffic(camera, direction, 6)));
+  } catch (err) {
+    console.error('❌ Forecast unavailable:', err.message);
+    return null;
+  }
+}
+
+async function prepareAnalysis(camera, framesToUse, userQuestion = null) {
+  const [assessment, forecasts] = await Promise.all([
+    assessTraffic(camera, framesToUse),
+    wantsForecast(userQuestion) ? getForecastsForPrompt(camera) : null,
+  ]);
+  
+  return {
+    framesToUse,
+    userQuestion,
+    assessment,
+    request: {
+      model: ANALYSIS_MODEL,
+      max_tokens: 1024,
+      system: await buildSystemPrompt(camera, assessment, { forecasts }),
+      messages: [{ role: 'user', content: buildUserContent(camera, framesToUse, userQuestion) }],
+    },
+  };
+}
+
+// Turn the model's reply into the analysis result and log the reading
+function finishAnalysis(camera, prepared, text, startedAt) {
+  const { framesToUse, userQuestion, assessment } = prepared;
+  const camStatus = getCameraStatusInfo(camera);
+  const latestFrame = framesToUse[framesToUse.length - 1];
+
+  const analysis = {
+    success: true,
+    camera: camera.id,
+    message: text,
+    timestamp: new Date().toISOString(),
+    frameTimestamp: latestFrame.timestamp,
+    framesAnalyzed: framesToUse.length,
+    analyzedFrames: serializeAnalyzedFrames(camera, framesToUse), // Include the actual frames used
+    cached: false,
+    cameraStatus: camStatus.status,
+    cameraAlert: camStatus.message,
+    detection: assessment.detection, // mode 'detector' or 'visual_only' (+ reason)
+    counts: assessment.counts,
+    waitEstimate: assessment.waitEstimate, // Minutes range + confidence per direction
+    visibility: assessment.visibility,     // Night label (null by day)
+  };
+
+  // Cache only automatic analyses
+  if (!userQuestion) {
+    camera.latestAnalysis = analysis;
+    camera.lastAnalysisTime = startedAt;
+    publishStatusSnapshot(camera, analysis);
+  }
+  evaluateAlerts(camera, analysis, { automatic: !userQuestion });
+  
+  // Log ALL traffic readings to database (both automatic and user questions)
+  logTrafficReading(
+    camera,
+    analysis, 
+    framesToUse.map(f => ({ angleType: f.angleType, timestamp: f.timestamp })),
+    Date.now() - startedAt,
+    assessment.counts
+  );
+
+  return analysis;
+}
+
+async function analyzeTraffic(camera, userQuestion = null) {
+  const now = Date.now();
+  if (!userQuestion && camera.latestAnalysis && (now - camera.lastAnalysisTime) < config.cacheTimeout) {
+    return camera.latestAnalysis;
+  }
+  return runAnalysis(camera, userQuestion);
+}
+
+// Fresh analysis of the current frames (no latestAnalysis shortcut)
+async function runAnalysis(camera, userQuestion = null) {
+  const now = Date.now();
+  const selection = selectAnalysisFrames(camera);
+  if (!selection.success) return selection;
+  
+  try {
+    console.log(`🔍 Analyzing ${selection.framesToUse.length} frames from angles: ${selection.anglesUsed.join(', ')}`);
+    
+    const prepared = await prepareAnalysis(camera, selection.framesToUse, userQuestion);
+    const response = await anthropic.messages.create(prepared.request);
+    
+    return finishAnalysis(camera, prepared, response.content[0].text, now);
+  } catch (error) {
+    console.error('❌ Analysis failed:', error.message);
+    return {
+      success: false,
+      message: `Analysis temporarily unavailable: ${error.message}`,
+    };
+  }
+}
+
+// =============================================
+// STATUS SNAPSHOT (precomputed standard answer)
+// =============================================
+// Whenever a new useful frame lands, the standard two-direction assessment
+// is regenerated in the background and published per camera. /api/status,
+// plain "how's traffic?" chat questions and the PWA's first load answer
+// straight from it instead of paying for capture + detector + LLM.
+// Any automatic analysis (e.g. an /api/status miss) publishes it too.
+
+const SNAPSHOT_DELAY_MS = 15000;                 // Let capture-time detection finish and new angles settle
+const SNAPSHOT_MIN_INTERVAL_MS = 2 * 60 * 1000;  // At most one background analysis per camera per 2 minutes
+const SNAPSHOT_MAX_AGE_MS = 10 * 60 * 1000;      // Older than this (no new frames) - analyze live instead
+
+// Status + detail from one direction box of the standard answer
+function parseDirectionBox(message, tag) {
+  const match = message.match(new RegExp(`\\[${tag}\\][\\s\\S]*?status:\\s*(\\w+)[\\s\\S]*?detail:\\s*([\\s\\S]*?)\\[\\/${tag}\\]`, 'i'));
+  return match ? { status: match[1].toUpperCase(), detail: match[2].trim() } : null;
+}
+
+// Publish an automatic analysis as the camera's snapshot
+function publishStatusSnapshot(camera, analysis) {
+  const directions = {};
+  for (const direction of DIRECTIONS) {
+    const box = parseDirectionBox(analysis.message, direction === 'lsToSa' ? 'LS_TO_SA' : 'SA_TO_LS');
+    directions[direction] = {
+      status: box?.status || analysis.counts?.[direction]?.level || null,
+      detail: box?.detail || null,
+      vehicles: analysis.counts?.[direction]?.combined ?? null,
+      wait: analysis.waitEstimate?.[direction] || null,
+    };
+  }
+  
+  publishLiveLevels(camera, camera.statusSnapshot?.snapshot.directions, directions, analysis.timestamp);
+  camera.statusSnapshot = {
+    ...analysis,
+    snapshot: {
+      generatedAt: analysis.timestamp,
+      frames: analysis.analyzedFrames.map(f => ({ angleType: f.angleType, timestamp: f.timestamp })),
+      directions,
+    },
+  };
+}
+
+// Ready snapshot (camera health as of now), or null if missing/too old
+function getStatusSnapshot(camera) {
+  const snapshot = camera.statusSnapshot;
+  if (!snapshot) return null;
+  
+  const age = Date.now() - new Date(snapshot.snapshot.generatedAt).getTime();
+  if (age > SNAPSHOT_MAX_AGE_MS) return null;
+  
+  const camStatus = getCameraStatusInfo(camera);
+  return {
+    ...snapshot,
+    cached: true,
+    cacheAge: Math.round(age / 1000),
+    cameraStatus: camStatus.status,
+    cameraAlert: camStatus.message,
+  };
+}
+
+// A new useful frame was saved - queue a refresh (coalesces bursts)
+function scheduleStatusSnapshot(camera) {
+  if (camera.snapshotTimer) return; // Already queued - it will use this frame too
+  
+  const sinceLastRun = Date.now() - camera.lastSnapshotRun;
+  const delay = Math.max(SNAPSHOT_DELAY_MS, SNAPSHOT_MIN_INTERVAL_MS - sinceLastRun);
+  camera.snapshotTimer = setTimeout(() => {
+    camera.snapshotTimer = null;
+    refreshStatusSnapshot(camera).catch(err => {
+      console.error(`❌ [${camera.id}] Status snapshot failed:`, err.message);
+    });
+  }, delay);
+}
+
+async function refreshStatusSnapshot(camera) {
+  if (!getBorderState(camera).open) return; // Closed response is served instead
+  if (camera.snapshotRunning) {
+    scheduleStatusSnapshot(camera);
+    return;
+  }
+  
+  camera.snapshotRunning = true;
+  camera.lastSnapshotRun = Date.now();
+  try {
+    const analysis = await runAnalysis(camera);
+    if (analysis.success) {
+      const { directions } = camera.statusSnapshot.snapshot;
+      console.log(`📰 [${camera.id}] Status snapshot ready - LS→SA ${directions.lsToSa.status || '?'}, SA→LS ${directions.saToLs.status || '?'}`);
+    }
+  } finally {
+    camera.snapshotRunning = false;
+  }
+}
 
-═══════════════════════════════════════════════════════════════
-LANGUAGE RULES - EXTREMELY IMPORTANT:
-═══════════════════════════════════════════════════════════════
+// =============================================
+// LIVE FEED (Server-Sent Events)
+// =============================================
+// GET /api/live keeps a connection open and pushes typed events, framed
+// like /api/chat/stream (`data: { type, ... }`):
+//   hello         - camera status, current levels and angle order on connect
+//   frame         - new frame for an angle (same shape as /api/frames entries)
+//   status        - a direction's traffic level changed
+//   camera_status - camera went down / frozen / stuck / back to operational
+//   queue_report  - a traveler submitted a queue report
+//   heartbeat     - every LIVE_HEARTBEAT_MS, keeps proxies from closing the
+//                   stream and tells clients the feed is still alive
+// The PWA and wall displays update from it instead of polling.
+
+const LIVE_HEARTBEAT_MS = 25000;
+const LIVE_MAX_CLIENTS = 500;      // Per camera
+const LIVE_STALE_FRAME_MS = 10 * 60 * 1000;      // Matches /api/frames' fresh/stale split
+const LIVE_MAX_FRAME_AGE_MS = 60 * 60 * 1000;    // Older preserved frames aren't sent on connect (as /api/frames)
+const LIVE_MAX_BUFFER_BYTES = 1024 * 1024;       // A client this far behind is dropped (EventSource reconnects)
+
+function formatLiveEvent(type, payload) {
+  return `data: ${JSON.stringify({ type, ...payload })}\n\n`;
+}
 
-❌ NEVER SAY (technical jargon):
-- "left side", "right side"
-- "orange pole", "wall area", "wall side"  
-- "green roof", "shelter structures", "canopy"
-- "Lesotho approach", "SA approach"
-- "processing area", "processing yard"
-- "Image 1", "Bridge view", "Canopy view"
-- "automated detection", "detector", "YOLO"
-- "user reports say" (just state the info naturally)
+// Write an already formatted event. Droppable events (frames) are skipped
+// while the client hasn't drained the previous write - a newer frame follows.
+// A client whose unsent output passes LIVE_MAX_BUFFER_BYTES is disconnected.
+function writeLiveEvent(camera, res, data, droppable = false) {
+  if (droppable && res.writableNeedDrain) return;
+  
+  res.write(data);
+  if (res.writableLength > LIVE_MAX_BUFFER_BYTES) {
+    console.log(`📡 [${camera.id}] Dropping slow live client (${Math.round(res.writableLength / 1024)} KB unsent)`);
+    camera.liveClients.delete(res);
+    res.destroy();
+  }
+}
 
-✅ INSTEAD SAY (user-friendly):
-- "2-3 vehicles heading to SA"
-- "No queue forming"
-- "Bridge is clear"
-- "Light traffic in both directions"
-- "About 5 vehicles waiting"
-- "Based on a recent report from X minutes ago..."
+function sendLiveEvent(camera, res, type, payload) {
+  writeLiveEvent(camera, res, formatLiveEvent(type, payload));
+}
 
-═══════════════════════════════════════════════════════════════
-RESPONSE STYLES BY QUESTION TYPE:
-═══════════════════════════════════════════════════════════════
+// Serialized once for every client
+function broadcastLive(camera, type, payload) {
+  if (!camera.liveClients.size) return;
+  
+  const data = formatLiveEvent(type, { camera: camera.id, ...payload });
+  for (const res of camera.liveClients) {
+    writeLiveEvent(camera, res, data, type === 'frame');
+  }
+}
 
-**OFF-TOPIC QUESTIONS** (weather, jokes, news, general knowledge, greetings, etc.):
-→ ⚠️ DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS] format!
-→ Keep response to 1-2 sentences MAX
-→ Be friendly, acknowledge their question briefly
-→ Mention what you CAN see from camera if relevant
-→ Include current status as just a word (LIGHT/MODERATE/HEAVY), not boxes
-→ Examples (follow these exactly):
-  - "Tell me a joke" → "I'm better at traffic updates than comedy! 😄 Traffic is LIGHT right now - great time to cross!"
-  - "How's the weather?" → "Can't check forecasts, but I see wet roads in the camera. Traffic is LIGHT though!"
-  - "Hi/Hello" → "Hi there! 👋 Traffic at Maseru Bridge is LIGHT right now. How can I help with your crossing?"
-  - "Thanks/Bye" → "Safe travels! 🚗 Traffic is LIGHT if you're heading out now."
-  - "Who are you?" → "I'm your Maseru Bridge traffic assistant! I monitor the border crossing 24/7. Traffic is LIGHT right now."
+function serializeLiveFrame(camera, frame) {
+  const age = Date.now() - frame.timestamp;
+  return {
+    angleType: frame.angleType,
+    label: camera.angles[frame.angleType]?.label || frame.angleType,
+    timestamp: frame.timestamp,
+    image: frame.screenshot.toString('base64'),
+    isStale: age > LIVE_STALE_FRAME_MS,
+    ageMinutes: Math.round(age / 60000),
+  };
+}
 
-**DIRECTION-SPECIFIC** ("I'm going from LS to SA"):
-→ Show both directions BUT personalize advice to THEIR direction
-→ Advice: "Your direction (LS→SA) looks clear - should be a quick crossing!"
+// New frame saved - only encoded when someone is listening
+function publishLiveFrame(camera, frame) {
+  if (!camera.liveClients.size || !camera.angles[frame.angleType]) return;
+  broadcastLive(camera, 'frame', serializeLiveFrame(camera, frame));
+}
 
-**YES/NO QUESTIONS** ("Is there a queue at Engen?"):
-→ Answer directly: "No, no queue at Engen right now. The approach road is clear."
-→ Don't use direction boxes format
+// One event per direction whose level differs from the previous snapshot
+function publishLiveLevels(camera, previous, directions, generatedAt) {
+  for (const direction of DIRECTIONS) {
+    const from = previous?.[direction]?.status || null;
+    const to = directions[direction].status;
+    if (!to || from === to) continue;
+    
+    console.log(`🚦 [${camera.id}] ${direction} ${from || 'unknown'} → ${to}`);
+    broadcastLive(camera, 'status', { direction, from, to, ...directions[direction], generatedAt });
+  }
+}
 
-**VISUAL QUESTIONS** ("How does the bridge look?"):
-→ Simple description: "The bridge looks quiet - just a couple of vehicles, no queues visible."
-→ Don't use direction boxes format
+// Current state sent to a client as soon as it connects
+function buildLiveHello(camera) {
+  const camStatus = getCameraStatusInfo(camera);
+  const snapshot = camera.statusSnapshot?.snapshot || null;
+  return {
+    camera: camera.id,
+    name: camera.name,
+    angles: Object.entries(camera.angles).map(([angleType, angle]) => ({ angleType, label: angle.label })),
+    cameraStatus: camStatus.status,
+    cameraAlert: camStatus.message,
+    directions: snapshot?.directions || null,
+    generatedAt: snapshot?.generatedAt || null,
+  };
+}
 
-**TIME QUESTIONS** ("What time should I cross?"):
-→ Current: "Right now traffic is light."
-→ Tips: "Generally, early mornings (6-8 AM) are quieter. Avoid month-end and holidays."
-→ End: "Check back before you travel for real-time conditions!"
+// =============================================
+// WEB PUSH ALERTS
+// =============================================
+// Logged-in users subscribe their browser (VAPID Web Push) and keep alert
+// rules on the server ("LS→SA LIGHT, weekdays 06:00-09:00, wait under
+// 15 min"). Every new assessment made while the border is open is checked
+// against each rule, on the detector's levels where available; a rule alerts
+// once when its condition starts holding, inside its window and outside its
+// quiet hours, then waits for the condition to clear (and its cooldown) before
+// alerting again. Pushes go to every browser the rule's owner subscribed, so
+// alerts arrive with the app closed. Subscriptions and rules live in
+// push_subscriptions / alert_rules and in memory; subscriptions the push
+// service reports gone (404/410) are dropped.
+
+const PUSH_TTL_SECONDS = 15 * 60;  // An undelivered alert is useless after this
+// Browser push services we deliver to (FCM, Mozilla, WNS, Apple) - anything
+// else would let a client make the server POST to arbitrary hosts
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'android.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com'];
+const PUSH_SERVICE_HOST_SUFFIXES = ['.notify.windows.com', '.push.apple.com'];
+const MAX_ALERT_RULES_PER_USER = 20;
+const ALERT_RULE_DIRECTIONS = ['lsToSa', 'saToLs', 'either'];
+const ALERT_RULE_COMPARISONS = ['atOrBelow', 'atOrAbove'];
+const DIRECTION_NAMES = {
+  lsToSa: { short: 'LS→SA', long: 'Lesotho to South Africa' },
+  saToLs: { short: 'SA→LS', long: 'South Africa to Lesotho' },
+};
 
-**GENERAL/DEFAULT** ("How's traffic?", "Current status?"):
-→ Use standard format with BOTH direction boxes (see below)
+const DEFAULT_ALERT_RULE = {
+  name: null,
+  direction: 'either',        // 'lsToSa', 'saToLs' or 'either'
+  status: 'LIGHT',            // Threshold level
+  comparison: 'atOrBelow',    // 'atOrBelow' = LIGHT..status, 'atOrAbove' = status..SEVERE
+  maxWaitMinutes: null,       // Also require the estimated wait (upper bound) at or under this
+  days: [...WEEKDAY_KEYS],    // Days the rule is active
+  window: null,               // { start, end } HH:MM - only alert inside, e.g. 06:00-09:00
+  quietHours: null,           // { start, end } HH:MM - never alert inside (may span midnight)
+  cooldownMinutes: 30,        // Minimum gap between alerts per direction
+  enabled: true,
+};
 
-**BORDER INFO** ("What are the hours?"):
-→ "Border operates 6 AM to 10 PM daily. Check official sources to confirm."
+const pushSubscriptions = new Map(); // endpoint -> { userId, endpoint, keys }
+const alertRules = new Map();        // id (string) -> { id, userId, cameraId, ...rule, lastSent: { direction: iso }, createdAt }
+const alertRuleState = new Set();    // `${ruleId}:${direction}` already alerted while the condition holds
 
-═══════════════════════════════════════════════════════════════
-STANDARD FORMAT (for general traffic questions):
-═══════════════════════════════════════════════════════════════
+// Logged-in user from the same custom token as /api/reports - sets req.userId
+async function requireUser(req, res, next) {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not connected' });
+  }
+  
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  let tokenData;
+  try {
+    tokenData = JSON.parse(Buffer.from(token || '', 'base64').toString('utf8'));
+  } catch (e) {
+    return res.status(401).json({ success: false, message: 'Invalid token format. Please login again.' });
+  }
+  
+  if (!tokenData?.user_id || !tokenData.exp || Date.now() > tokenData.exp) {
+    return res.status(401).json({ success: false, message: 'Session expired. Please login again.' });
+  }
+  
+  try {
+    const { data: user, error } = await supabase
+      .from('traffic_users')
+      .select('id')
+      .eq('id', tokenData.user_id)
+      .single();
+    
+    if (error || !user) {
+      return res.status(401).json({ success: false, message: 'User not found. Please login again.' });
+    }
+    
+    req.userId = user.id;
+    next();
+  } catch (err) {
+    console.error('User auth error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
 
-**Traffic:** [One simple sentence]
+function isKnownPushEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+  
+  const host = url.hostname.toLowerCase();
+  return PUSH_SERVICE_HOSTS.includes(host) || PUSH_SERVICE_HOST_SUFFIXES.some(suffix => host.endsWith(suffix));
+}
 
-[LS_TO_SA]
-status: [LIGHT/MODERATE/HEAVY/SEVERE]
-detail: [Include WHERE the queue is - e.g., "About 10 vehicles on the bridge heading to SA." or "Queue extends past Engen petrol station." Keep it simple but location-specific.]
-[/LS_TO_SA]
+// Rule fields from a request body (or stored row) over a base rule
+function buildAlertRule(input = {}, base = DEFAULT_ALERT_RULE) {
+  const rule = {};
+  for (const key of Object.keys(DEFAULT_ALERT_RULE)) {
+    rule[key] = input[key] !== undefined ? input[key] : base[key];
+  }
+  if (typeof rule.status === 'string') rule.status = rule.status.toUpperCase();
+  if (typeof rule.name === 'string') rule.name = rule.name.trim() || null;
+  return rule;
+}
 
-[SA_TO_LS]
-status: [LIGHT/MODERATE/HEAVY/SEVERE]
-detail: [Include WHERE the queue is - e.g., "3 on the bridge, 5 in the processing area." or "About 8 vehicles - some crossing, others queuing to enter Lesotho." Be specific about bridge vs processing area.]
-[/SA_TO_LS]
+// Returns an error message, or null if the rule is usable
+function validateAlertRule(rule) {
+  const checkRange = (range, field) => {
+    if (range === null) return null;
+    const start = parseClockTime(range?.start);
+    const end = parseClockTime(range?.end);
+    if (start === null || end === null) return `${field}: start/end must be HH:MM`;
+    if (start === end) return `${field}: start and end must differ`;
+    return null;
+  };
+  
+  if (rule.name !== null && (typeof rule.name !== 'string' || rule.name.length > 60)) {
+    return 'name must be text of at most 60 characters';
+  }
+  if (!ALERT_RULE_DIRECTIONS.includes(rule.direction)) {
+    return `direction must be one of ${ALERT_RULE_DIRECTIONS.join(', ')}`;
+  }
+  if (!TRAFFIC_LEVELS.includes(rule.status)) {
+    return `status must be one of ${TRAFFIC_LEVELS.join(', ')}`;
+  }
+  if (!ALERT_RULE_COMPARISONS.includes(rule.comparison)) {
+    return `comparison must be one of ${ALERT_RULE_COMPARISONS.join(', ')}`;
+  }
+  if (rule.maxWaitMinutes !== null &&
+      (!Number.isInteger(rule.maxWaitMinutes) || rule.maxWaitMinutes < 5 || rule.maxWaitMinutes > 600)) {
+    return 'maxWaitMinutes must be a whole number of minutes between 5 and 600, or null';
+  }
+  if (!Array.isArray(rule.days) || !rule.days.length || rule.days.some(d => !WEEKDAY_KEYS.includes(d))) {
+    return `days must list at least one of ${WEEKDAY_KEYS.join(', ')}`;
+  }
+  if (!Number.isInteger(rule.cooldownMinutes) || rule.cooldownMinutes < 0 || rule.cooldownMinutes > 24 * 60) {
+    return 'cooldownMinutes must be a whole number between 0 and 1440';
+  }
+  if (typeof rule.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  return checkRange(rule.window, 'window') || checkRange(rule.quietHours, 'quietHours');
+}
 
-**Advice:** [Practical, personalized if direction mentioned]
+// HH:MM range check - end before start spans midnight
+function inClockRange(minutes, range) {
+  const start = parseClockTime(range.start);
+  const end = parseClockTime(range.end);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
 
-⚠️ AI estimate from camera snapshots. Conditions change quickly.
+function ruleMatchesLevel(rule, level) {
+  const index = TRAFFIC_LEVELS.indexOf(level.status);
+  if (index === -1) return false;
+  
+  const threshold = TRAFFIC_LEVELS.indexOf(rule.status);
+  const statusOk = rule.comparison === 'atOrBelow' ? index <= threshold : index >= threshold;
+  if (!statusOk) return false;
+  
+  // No estimate to check against - don't promise a short wait
+  if (rule.maxWaitMinutes !== null) {
+    return !!level.wait && level.wait.maxMinutes <= rule.maxWaitMinutes;
+  }
+  return true;
+}
 
-═══════════════════════════════════════════════════════════════
-REMEMBER:
-═══════════════════════════════════════════════════════════════
-1. Sound like a helpful friend, not a robot
-2. Keep details SHORT and SIMPLE but LOCATION-SPECIFIC
-3. If they mention their direction, focus advice on THEIR journey
-4. NEVER use technical camera terminology
-5. ALWAYS show both directions in standard format
-6. For OFF-TOPIC questions: Be friendly, acknowledge the question, share what you CAN see from the camera if relevant, give current traffic status, and redirect to traffic helpfully`;
+// Day, window and quiet hours - on the camera's clock, same as operating hours
+function ruleActiveAt(camera, rule, now) {
+  const zoned = getZonedTime(now, camera.timeZone);
+  if (!rule.days.includes(WEEKDAY_KEYS[zoned.day])) return false;
+  
+  const minutesNow = zoned.minutes;
+  if (rule.window && !inClockRange(minutesNow, rule.window)) return false;
+  if (rule.quietHours && inClockRange(minutesNow, rule.quietHours)) return false;
+  return true;
+}
 
+function serializeAlertRule(rule) {
+  return {
+    id: rule.id,
+    camera: rule.cameraId,
+    ...buildAlertRule(rule),
+    lastSent: rule.lastSent,
+    createdAt: rule.createdAt,
+  };
+}
 
-    // Detect question type for better responses
-    const questionLower = userQuestion ? userQuestion.toLowerCase() : '';
-    let questionType = 'general';
-    
-    // Check for off-topic questions first
-    const offTopicKeywords = [
-      'weather', 'rain', 'sunny', 'cold', 'hot', 'temperature',
-      'joke', 'funny', 'laugh',
-      'news', 'president', 'politics', 'election',
-      'sport', 'soccer', 'football', 'rugby', 'cricket',
-      'food', 'restaurant', 'eat',
-      'movie', 'music', 'song',
-      'hello', 'hi ', 'hey ', 'how are you', 'what\'s up', 'whats up',
-      'who are you', 'your name', 'what can you do',
-      'thank', 'thanks', 'bye', 'goodbye'
-    ];
-    
-    const trafficKeywords = [
-      'traffic', 'queue', 'border', 'crossing', 'bridge', 'vehicle', 'car', 'truck',
-      'wait', 'busy', 'congestion', 'flow', 'backed', 'clear', 'status',
-      'lesotho', 'south africa', 'maseru', 'ls', 'sa', 'ficksburg'
-    ];
-    
-    const hasOffTopicWord = offTopicKeywords.some(word => questionLower.includes(word));
-    const hasTrafficWord = trafficKeywords.some(word => questionLower.includes(word));
-    
-    // If has off-topic keywords but NO traffic keywords, it's off-topic
-    if (hasOffTopicWord && !hasTrafficWord) {
-      questionType = 'offtopic';
-    } else if (questionLower.includes('from ls') || questionLower.includes('from lesotho') || 
-        questionLower.includes('to sa') || questionLower.includes('to south africa') ||
-        questionLower.includes('from sa') || questionLower.includes('from south africa') ||
-        questionLower.includes('to ls') || questionLower.includes('to lesotho') ||
-        questionLower.includes('going to') || questionLower.includes('coming from') ||
-        questionLower.includes('heading to')) {
-      questionType = 'directional';
-    } else if (questionLower.includes('is there') || questionLower.includes('are there') ||
-               questionLower.includes('any ') || questionLower.includes('is it ') ||
-               questionLower.match(/^(is|are|do|does|can|will)\b/)) {
-      questionType = 'yesno';
-    } else if (questionLower.includes('look') || questionLower.includes('see') ||
-               questionLower.includes('show') || questionLower.includes('what can')) {
-      questionType = 'visual';
-    } else if (questionLower.includes('time') || questionLower.includes('when') ||
-               questionLower.includes('best') || questionLower.includes('should i')) {
-      questionType = 'timing';
-    } else if (questionLower.includes('hour') || questionLower.includes('open') ||
-               questionLower.includes('close')) {
-      questionType = 'info';
-    }
-
-
-    // Build content array with multiple images
-    const content = [];
-    
-    framesToUse.forEach((frame, i) => {
-      content.push({
-        type: 'image',
-        source: {
-          type: 'base64',
-          media_type: 'image/jpeg',
-          data: frame.screenshot.toString('base64'),
-        },
-      });
-    });
+function getUserAlertRules(userId) {
+  return [...alertRules.values()].filter(rule => rule.userId === userId);
+}
 
-    let userPrompt;
-    if (!userQuestion) {
-      userPrompt = `Analyze these camera snapshots from Maseru Bridge border crossing. Give a brief, structured assessment using the standard format with both direction boxes.`;
-    } else if (questionType === 'offtopic') {
-      userPrompt = `Question type: OFF-TOPIC
-User's question: "${userQuestion}"
+function buildAlertPayload(camera, alert, rule) {
+  const name = DIRECTION_NAMES[alert.direction];
+  const icon = alert.status === 'LIGHT' ? '🟢' : alert.status === 'MODERATE' ? '🟡' : '🔴';
+  const wait = alert.wait?.label ? ` Estimated wait ${alert.wait.label}.` : '';
+  const advice = alert.status === 'LIGHT' ? ' Good time to cross!' : alert.status === 'MODERATE' ? '' : ' Expect delays.';
+  
+  return {
+    title: `${icon} ${name.short} is now ${alert.status}`,
+    body: `${name.long} traffic at ${camera.name} is now ${alert.status.toLowerCase()}.${wait}${advice}`,
+    tag: `traffic-${camera.id}-${alert.direction}`,
+    data: { url: '/', camera: camera.id, direction: alert.direction, level: alert.status, rule: rule.id },
+  };
+}
 
-⚠️ IMPORTANT: This is an off-topic question. DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS].
-Give a SHORT 1-2 sentence friendly response. Acknowledge their question, mention what you can see from the camera if relevant, and include current traffic status as just a word (LIGHT/MODERATE/HEAVY).
-Example format: "I'm better at traffic than jokes! 😄 Traffic is LIGHT right now - great time to cross!"`;
+async function sendPush(subscription, payload) {
+  try {
+    await webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      JSON.stringify(payload),
+      { TTL: PUSH_TTL_SECONDS }
+    );
+    console.log(`🔔 Push sent to user ${subscription.userId}: ${payload.title}`);
+  } catch (err) {
+    if (err.statusCode === 404 || err.statusCode === 410) {
+      console.log(`🔕 Push subscription for user ${subscription.userId} expired - removing`);
+      await removePushSubscription(subscription.endpoint);
     } else {
-      userPrompt = `Question type: ${questionType.toUpperCase()}
-User's question: "${userQuestion}"
-
-Respond appropriately for this question type. Be helpful and conversational.`;
+      console.error(`❌ Push to user ${subscription.userId} failed:`, err.statusCode || err.message);
     }
+  }
+}
 
-    content.push({
-      type: 'text',
-      text: userPrompt
-    });
+function fireAlertRule(camera, rule, alert, now) {
+  rule.lastSent = { ...rule.lastSent, [alert.direction]: now.toISOString() };
+  persistAlertRuleLastSent(rule);
+  
+  const payload = buildAlertPayload(camera, alert, rule);
+  for (const subscription of pushSubscriptions.values()) {
+    if (subscription.userId === rule.userId) {
+      sendPush(subscription, payload);
+    }
+  }
+}
 
-    const response = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 1024,
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: content,
-        },
-      ],
-    });
+// Levels an assessment can alert on - the detector level (as logged by
+// logTrafficReading). Without the detector only an automatic analysis's stated
+// level counts, never a chat answer's.
+function getAlertLevels(analysis, automatic) {
+  const levels = {};
+  for (const direction of DIRECTIONS) {
+    let status = analysis.counts?.mode === 'detector' ? analysis.counts[direction]?.level : null;
+    if (!status && automatic && analysis.counts?.mode !== 'detector') {
+      status = parseDirectionBox(analysis.message, direction === 'lsToSa' ? 'LS_TO_SA' : 'SA_TO_LS')?.status || null;
+    }
+    if (status) {
+      levels[direction] = { direction, status, wait: analysis.waitEstimate?.[direction] || null };
+    }
+  }
+  return levels;
+}
 
-    // Get timestamp of most recent frame
-    const latestFrame = framesToUse[framesToUse.length - 1];
+// Check an assessment against every rule for this camera. A direction with
+// no usable level keeps its state.
+function evaluateAlerts(camera, analysis, { automatic = true, now = new Date() } = {}) {
+  // Nobody is crossing while the post is shut - never "good time to cross"
+  if (!getBorderState(camera, now).open) return;
+  
+  const levels = getAlertLevels(analysis, automatic);
+  
+  for (const rule of alertRules.values()) {
+    if (rule.cameraId !== camera.id || !rule.enabled) continue;
     
-    // Calculate response time
-    const responseTime = Date.now() - now;
+    const directions = rule.direction === 'either' ? DIRECTIONS : [rule.direction];
+    for (const direction of directions) {
+      const level = levels[direction];
+      if (!level) continue;
+      
+      const key = `${rule.id}:${direction}`;
+      if (!ruleMatchesLevel(rule, level)) {
+        alertRuleState.delete(key);
+        continue;
+      }
+      if (alertRuleState.has(key)) continue;
+      
+      // Outside its hours or cooling down - try again on the next assessment
+      const lastSent = rule.lastSent?.[direction];
+      if (!ruleActiveAt(camera, rule, now)) continue;
+      if (lastSent && now - new Date(lastSent) < rule.cooldownMinutes * 60 * 1000) continue;
+      
+      alertRuleState.add(key);
+      if (pushEnabled) {
+        fireAlertRule(camera, rule, level, now);
+      }
+    }
+  }
+}
+
+function clearAlertRuleState(ruleId) {
+  for (const direction of DIRECTIONS) {
+    alertRuleState.delete(`${ruleId}:${direction}`);
+  }
+}
+
+async function savePushSubscription(subscription) {
+  pushSubscriptions.set(subscription.endpoint, subscription);
+  if (!supabase) return;
+  
+  const { error } = await supabase
+    .from('push_subscriptions')
+    .upsert({
+      endpoint: subscription.endpoint,
+      user_id: subscription.userId,
+      keys: subscription.keys,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'endpoint' });
+  
+  if (error) throw new Error(error.message);
+}
+
+async function removePushSubscription(endpoint) {
+  pushSubscriptions.delete(endpoint);
+  if (!supabase) return;
+  
+  try {
+    const { error } = await supabase.from('push_subscriptions').delete().eq('endpoint', endpoint);
+    if (error) console.error('❌ Failed to remove push subscription:', error.message);
+  } catch (err) {
+    console.error('❌ Push subscription removal error:', err.message);
+  }
+}
 
-    // Get camera status
-    const camStatus = getCameraStatusInfo();
+async function loadPushSubscriptionsFromDB() {
+  if (!supabase) return;
+  
+  try {
+    const { data, error } = await supabase.from('push_subscriptions').select('*');
+    if (error) {
+      console.error('❌ Failed to load push subscriptions:', error.message);
+      return;
+    }
     
-    // Build analyzed frames info for frontend to display
-    const analyzedFrames = framesToUse.map(f => ({
-      angleType: f.angleType,
-      timestamp: f.timestamp,
-      label: f.angleType === 'bridge' ? 'Bridge' : 
-             f.angleType === 'processing' ? 'Processing' : 
-             f.angleType === 'wide' ? 'Wide/Engen' : 'Unknown',
-      // Convert buffer to base64 for frontend display
-      imageData: f.screenshot ? f.screenshot.toString('base64') : null
-    }));
+    for (const row of data || []) {
+      if (!isKnownPushEndpoint(row.endpoint)) continue;
+      pushSubscriptions.set(row.endpoint, {
+        userId: row.user_id,
+        endpoint: row.endpoint,
+        keys: row.keys,
+      });
+    }
+    console.log(`🔔 Loaded ${pushSubscriptions.size} push subscriptions`);
+  } catch (err) {
+    console.error('❌ Error loading push subscriptions:', err.message);
+  }
+}
 
-    const analysis = {
-      success: true,
-      message: response.content[0].text,
-      timestamp: new Date().toISOString(),
-      frameTimestamp: latestFrame.timestamp,
-      framesAnalyzed: framesToUse.length,
-      analyzedFrames: analyzedFrames, // Include the actual frames used
-      cached: false,
-      cameraStatus: camStatus.status,
-      cameraAlert: camStatus.message,
-    };
+// Insert (no id yet) or update a rule; returns the stored rule
+async function saveAlertRule(rule) {
+  const row = {
+    user_id: rule.userId,
+    camera_id: rule.cameraId,
+    rule: buildAlertRule(rule),
+    updated_at: new Date().toISOString(),
+  };
+  
+  const { data, error } = rule.id
+    ? await supabase.from('alert_rules').update(row).eq('id', rule.id).select().single()
+    : await supabase.from('alert_rules').insert(row).select().single();
+  
+  if (error) throw new Error(error.message);
+  
+  const saved = { ...rule, id: String(data.id), createdAt: data.created_at };
+  alertRules.set(saved.id, saved);
+  return saved;
+}
+
+async function deleteAlertRule(ruleId) {
+  const { error } = await supabase.from('alert_rules').delete().eq('id', ruleId);
+  if (error) throw new Error(error.message);
+  alertRules.delete(ruleId);
+  clearAlertRuleState(ruleId);
+}
+
+// Cooldowns survive restarts - fire and forget
+async function persistAlertRuleLastSent(rule) {
+  if (!supabase) return;
+  
+  try {
+    const { error } = await supabase
+      .from('alert_rules')
+      .update({ last_sent: rule.lastSent })
+      .eq('id', rule.id);
+    if (error) console.error('❌ Failed to save alert rule cooldown:', error.message);
+  } catch (err) {
+    console.error('❌ Alert rule cooldown save error:', err.message);
+  }
+}
 
-    // Cache only automatic analyses
-    if (!userQuestion) {
-      latestAnalysis = analysis;
-      lastAnalysisTime = now;
+async function loadAlertRulesFromDB() {
+  if (!supabase) return;
+  
+  try {
+    const { data, error } = await supabase.from('alert_rules').select('*');
+    if (error) {
+      console.error('❌ Failed to load alert rules:', error.message);
+      return;
     }
     
-    // Log ALL traffic readings to database (both automatic and user questions)
-    logTrafficReading(
-      analysis, 
-      framesToUse.map(f => ({ angleType: f.angleType, timestamp: f.timestamp })),
-      responseTime
-    );
-
-    return analysis;
-  } catch (error) {
-    console.error('❌ Analysis failed:', error.message);
-    return {
-      success: false,
-      message: `Analysis temporarily unavailable: ${error.message}`,
-    };
+    for (const row of data || []) {
+      const rule = buildAlertRule(row.rule);
+      const problem = validateAlertRule(rule);
+      if (problem || !getCamera(row.camera_id)) {
+        console.log(`⚠️ Ignoring stored alert rule ${row.id}: ${problem || `unknown camera ${row.camera_id}`}`);
+        continue;
+      }
+      alertRules.set(String(row.id), {
+        id: String(row.id),
+        userId: row.user_id,
+        cameraId: row.camera_id,
+        ...rule,
+        lastSent: row.last_sent || {},
+        createdAt: row.created_at,
+      });
+    }
+    console.log(`🔔 Loaded ${alertRules.size} alert rules`);
+  } catch (err) {
+    console.error('❌ Error loading alert rules:', err.message);
   }
 }
 
 // API Routes
 app.get('/api/status', async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  const closed = getClosedResponse(camera);
+  if (closed) return res.json(closed);
+  
+  // Precomputed in the background - instant
+  const snapshot = getStatusSnapshot(camera);
+  if (snapshot) return res.json(snapshot);
+  
   try {
-    await captureFrame();
-    const analysis = await analyzeTraffic();
+    await captureFrame(camera);
+    const analysis = await analyzeTraffic(camera);
     res.json(analysis);
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to get traffic status' });
   }
 });
 
+// List registered cameras (for picking a post in the UI)
+app.get('/api/cameras', (req, res) => {
+  res.json({
+    success: true,
+    defaultCamera: DEFAULT_CAMERA_ID,
+    cameras: [...cameras.values()].map(camera => ({
+      id: camera.id,
+      name: camera.name,
+      angles: Object.entries(camera.angles).map(([angleType, angle]) => ({ angleType, label: angle.label })),
+      status: camera.cameraStatus.status,
+    })),
+  });
+});
+
 // Camera status endpoint - Check if camera is operational
 app.get('/api/camera-status', (req, res) => {
-  const status = getCameraStatusInfo();
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  const status = getCameraStatusInfo(camera);
   res.json({
     success: true,
     ...status,
-    angleHistory: cameraStatus.angleHistory.slice(-10), // Last 10 angles for debugging
-    bufferSize: screenshotBuffer.length,
+    angleHistory: camera.cameraStatus.angleHistory.slice(-10), // Last 10 angles for debugging
+    bufferSize: camera.screenshotBuffer.length,
+    uptime: computeUptime(camera, 24),
+  });
+});
+
+// Live SSE feed of frames, levels, camera status and queue reports
+// GET /api/live?camera=maseru
+app.get('/api/live', (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  if (camera.liveClients.size >= LIVE_MAX_CLIENTS) {
+    return res.status(503).json({ success: false, message: 'Too many live connections - please try again later' });
+  }
+  
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  
+  camera.liveClients.add(res);
+  console.log(`📡 [${camera.id}] Live client connected (${camera.liveClients.size} open)`);
+  
+  // Current state first, then the latest frame of each angle
+  sendLiveEvent(camera, res, 'hello', buildLiveHello(camera));
+  for (const frame of Object.values(camera.preservedFrames)) {
+    if (frame && Date.now() - frame.timestamp <= LIVE_MAX_FRAME_AGE_MS) sendLiveEvent(camera, res, 'frame', { camera: camera.id, ...serializeLiveFrame(camera, frame) });
+  }
+  
+  const heartbeat = setInterval(() => sendLiveEvent(camera, res, 'heartbeat', { time: Date.now() }), LIVE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    camera.liveClients.delete(res);
+    console.log(`📡 [${camera.id}] Live client disconnected (${camera.liveClients.size} open)`);
+  });
+});
+
+// Camera incident history + uptime
+// GET /api/camera-status/history?hours=168
+app.get('/api/camera-status/history', (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  const hours = Math.min(Math.max(parseInt(req.query.hours) || 168, 1), INCIDENT_HISTORY_DAYS * 24);
+  const status = getCameraStatusInfo(camera);
+  
+  res.json({
+    success: true,
+    camera: camera.id,
+    current: {
+      status: status.status,
+      since: status.since,
+      message: status.message,
+      incident: status.currentIncident,
+    },
+    uptime: computeUptime(camera, hours),
+    uptime24h: computeUptime(camera, 24),
+    incidents: getIncidentHistory(camera, hours).map(incident => serializeIncident(incident)).reverse(), // Newest first
   });
 });
 
@@ -1745,6 +5699,16 @@ app.get('/api/insights', async (req, res) => {
         ? `Traffic is lighter than usual right now - good time to cross!`
         : `Traffic is heavier than usual for this time.`;
 
+    // Holidays, peaks and paydays today or in the coming week
+    const calendarToday = getCalendarContext(now);
+    const upcomingEvents = getUpcomingCalendarEvents(now, 7);
+    const todayDescription = describeCalendarDay(calendarToday);
+    const calendarTip = todayDescription
+      ? `Today: ${todayDescription}. Expect ${calendarToday.busy ? 'much ' : ''}busier crossings than usual.`
+      : upcomingEvents.length > 0
+        ? `Coming up: ${upcomingEvents[0].description} on ${upcomingEvents[0].date}. Expect busier crossings around then.`
+        : 'No holidays or paydays in the coming week.';
+
     res.json({
       success: true,
       hourly: hourlyData,
@@ -1756,6 +5720,8 @@ app.get('/api/insights', async (req, res) => {
       weeklyTip,
       trendsTip,
       comparisonTip,
+      calendarTip,
+      calendar: { today: calendarToday, upcoming: upcomingEvents },
       totalReadings: (recentReadings || []).length
     });
 
@@ -1773,8 +5739,14 @@ app.post('/api/chat', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Please provide a message' });
     }
 
-    await captureFrame();
-    const analysis = await analyzeTraffic(message);
+    const camera = resolveCamera(req, res);
+    if (!camera) return;
+
+    const closed = getClosedResponse(camera, message);
+    if (closed) return res.json(closed);
+
+    await captureFrame(camera);
+    const analysis = await analyzeTraffic(camera, message);
     res.json(analysis);
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to process your question' });
@@ -1790,433 +5762,76 @@ app.post('/api/chat/stream', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Please provide a message' });
     }
 
-    // Check cache for common questions
-    const questionCategory = categorizeQuestion(message);
-    const cached = getCachedResponse(questionCategory);
-    
-    if (cached) {
-      // Return cached response as instant JSON (no streaming needed)
-      return res.json({
-        success: true,
-        message: cached.response,
-        frameTimestamp: cached.frameTimestamp,
-        cached: true,
-        cacheAge: Math.round((Date.now() - cached.timestamp) / 1000)
-      });
-    }
-
-    // Capture frame first
-    await captureFrame();
-    
-    // Check if we have frames
-    if (screenshotBuffer.length === 0) {
-      return res.json({
-        success: false,
-        message: "No camera feed available. Please try again in a moment."
-      });
-    }
-
-    // Set up SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
-    res.flushHeaders(); // Send headers immediately to establish connection
-    
-    // Prepare frames (same logic as analyzeTraffic)
-    const usefulFrames = screenshotBuffer.filter(f => f.angleType !== ANGLE_TYPES.USELESS);
-    const framesByAngle = {};
-    usefulFrames.forEach(frame => {
-      if (!framesByAngle[frame.angleType]) {
-        framesByAngle[frame.angleType] = [];
-      }
-      framesByAngle[frame.angleType].push(frame);
-    });
-    
-    const framesToUse = [];
-    const anglePriority = [ANGLE_TYPES.BRIDGE, ANGLE_TYPES.PROCESSING, ANGLE_TYPES.WIDE];
-    
-    for (const angleType of anglePriority) {
-      if (framesByAngle[angleType] && framesByAngle[angleType].length > 0) {
-        const frames = framesByAngle[angleType];
-        framesToUse.push(frames[frames.length - 1]);
-      } else if (preservedFrames[angleType] && isFrameFresh(preservedFrames[angleType])) {
-        framesToUse.push(preservedFrames[angleType]);
-      }
-    }
-    
-    if (framesToUse.length === 0) {
-      res.write(`data: ${JSON.stringify({ type: 'error', message: 'No camera view available' })}\n\n`);
-      res.write('data: [DONE]\n\n');
-      return res.end();
-    }
-
-    // Get camera status
-    const camStatus = getCameraStatusInfo();
-
-    // Send frame timestamp and camera status first
-    const latestFrame = framesToUse[framesToUse.length - 1];
-    res.write(`data: ${JSON.stringify({ type: 'start' })}\n\n`);
-    res.write(`data: ${JSON.stringify({ 
-      type: 'meta', 
-      frameTimestamp: latestFrame.timestamp,
-      cameraStatus: camStatus.status,
-      cameraAlert: camStatus.message
-    })}\n\n`);
-
-    // =============================================
-    // STEP 1: Call YOLO detector for vehicle counts
-    // =============================================
-    let detectorCounts = null;
-    let canopyDetectorCounts = null;
-    
-    const bridgeFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.BRIDGE);
-    if (bridgeFrame) {
-      detectorCounts = await detectVehicles(
-        bridgeFrame.screenshot.toString('base64'),
-        'bridge'
-      );
-    }
-    
-    // Find the canopy/processing frame and call detector for SA→LS queue
-    const canopyFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.PROCESSING);
-    if (canopyFrame) {
-      canopyDetectorCounts = await detectVehicles(
-        canopyFrame.screenshot.toString('base64'),
-        'canopy'
-      );
-    }
-    
-    // Add to traffic history for time-series analysis
-    trafficHistory.addReading(detectorCounts, canopyDetectorCounts);
-    
-    // Get trend analysis
-    const trendSummary = trafficHistory.getTrendSummary();
-    
-    // Determine traffic levels from detector counts
-    let lsToSaStatus = 'LIGHT';
-    let saToLsStatus = 'LIGHT';
-    let lsToSaCount = 0;
-    let saToLsCount = 0;
-    let saToLsCanopyCount = 0;
-    let lsToSaCanopyCount = 0;  // NEW: LS→SA vehicles in canopy (right side)
-    
-    // Bridge counts
-    if (detectorCounts && !detectorCounts.direction_uncertain) {
-      lsToSaCount = detectorCounts.LS_to_SA;
-      saToLsCount = detectorCounts.SA_to_LS;
-    }
-    
-    // Add canopy counts
-    if (canopyDetectorCounts) {
-      saToLsCanopyCount = canopyDetectorCounts.SA_to_LS || 0;  // Left side - entering canopy
-      lsToSaCanopyCount = canopyDetectorCounts.LS_to_SA || 0;  // Right side - heading to SA
-    }
-    
-    // Combined counts (bridge + canopy)
-    const combinedSaToLs = saToLsCount + saToLsCanopyCount;
-    const combinedLsToSa = lsToSaCount + lsToSaCanopyCount;  // NEW: Include canopy right side
-    
-    if (detectorCounts && !detectorCounts.direction_uncertain) {
-      // Use COMBINED counts for status
-      if (combinedLsToSa <= 3) lsToSaStatus = 'LIGHT';
-      else if (combinedLsToSa <= 8) lsToSaStatus = 'MODERATE';
-      else lsToSaStatus = 'HEAVY';
-      
-      // SA→LS uses COMBINED count
-      if (combinedSaToLs <= 3) saToLsStatus = 'LIGHT';
-      else if (combinedSaToLs <= 8) saToLsStatus = 'MODERATE';
-      else saToLsStatus = 'HEAVY';
-    }
-
-    // Extract breakdown if available
-    const breakdown = detectorCounts?.breakdown || {};
-    const lsToSaBreakdown = breakdown.LS_to_SA || { cars: 0, trucks: 0, buses: 0 };
-    const saToLsBreakdown = breakdown.SA_to_LS || { cars: 0, trucks: 0, buses: 0 };
-
-    // Build trend info string
-    const trendInfoString = trendSummary ? `
-📈 TRAFFIC TREND: ${trendSummary}
-` : '';
-
-    // Build counts info for prompt
-    const countsInfo = detectorCounts && !detectorCounts.direction_uncertain
-      ? `
-VEHICLE COUNTS (automated detection):
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• LS→SA (Lesotho to South Africa): COMBINED COUNT
-  - Bridge: ${lsToSaCount} vehicles
-  - Canopy RIGHT side: ${lsToSaCanopyCount} vehicles
-  - TOTAL: ${combinedLsToSa} vehicles - ${lsToSaStatus}
-  Breakdown: ${lsToSaBreakdown.cars} cars, ${lsToSaBreakdown.trucks} trucks, ${lsToSaBreakdown.buses} buses
-  
-• SA→LS (South Africa to Lesotho): COMBINED COUNT
-  - Bridge: ${saToLsCount} vehicles
-  - Canopy LEFT side: ${saToLsCanopyCount} vehicles
-  - TOTAL: ${combinedSaToLs} vehicles - ${saToLsStatus}
-  Breakdown: ${saToLsBreakdown.cars} cars, ${saToLsBreakdown.trucks} trucks, ${saToLsBreakdown.buses} buses
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-${trendInfoString}
-🔺 CANOPY DIRECTION RULES:
-- Canopy RIGHT side = LS→SA traffic (heading TO South Africa)
-- Canopy LEFT side = SA→LS traffic (entering to go to Lesotho)
-- TRUST the automated counts, do NOT re-interpret directions!
-
-📌 TRUCK NOTE: Stationary trucks do NOT cause delays - they process elsewhere.
-`
-      : `
-⚠️ Automated vehicle detection unavailable. Use your visual assessment.
-`;
-
-    // Generate camera status warning for prompt (streaming)
-    const cameraStatusWarning = (() => {
-      const camStatus = getCameraStatusInfo();
-      if (camStatus.status === 'down') {
-        return `
-🔴 CAMERA STATUS ALERT:
-The camera feed is currently unavailable. Let the user know that you cannot provide real-time updates.
-`;
-      } else if (camStatus.status === 'stuck_on_angle') {
-        const angleDescriptions = {
-          'bridge': 'the bridge approach',
-          'processing': 'the processing area', 
-          'wide': 'the wide Engen area view'
-        };
-        const desc = angleDescriptions[camStatus.stuckAngle] || camStatus.stuckAngle;
-        return `
-📷 CAMERA STATUS NOTE:
-The camera is currently only showing ${desc}. Other views are not available.
-`;
-      }
-      return '';
-    })();
-
-    // Get queue reports from users
-    const queueReportsPrompt = await formatQueueReportsForPrompt();
-
-    // Visual assessment reminder for multi-view analysis
-    const visualAssessmentReminder = `
-═══════════════════════════════════════════════════════════════
-MASERU BORDER TRAFFIC FLOW GUIDE
-═══════════════════════════════════════════════════════════════
-Understanding the camera views and traffic flow:
-
-📷 BRIDGE VIEW:
-   • LS→SA traffic: Uses the lane AWAY from the orange pillar (far side)
-   • SA→LS traffic: Uses the lane NEAR the orange pillar
-   • Count vehicles in each lane to assess directional traffic
-
-📷 CANOPY/PROCESSING VIEW:
-   • SA→LS TRAFFIC: Cars ENTERING the canopy area, queue in 1 row normally,
-     2 rows when traffic is heavy. Look for cars lined up coming INTO the shelter.
-   • LS→SA TRAFFIC: Vehicles on the RIGHT SIDE of the canopy area, 
-     these are heading toward South Africa.
-   • TRUCKS: Trucks park in the canopy BUT they process at a DIFFERENT location.
-     ⚠️ Trucks do NOT cause delays for cars UNLESS they are physically blocking 
-     the car lanes. Don't count stationary trucks as traffic delays!
-
-📷 WIDE/ENGEN VIEW:
-   • Shows the approach road from Lesotho side
-   • If cars are queued here, SA→LS traffic is severely backed up
-
-═══════════════════════════════════════════════════════════════
-CROSS-VIEW VALIDATION (use this to confirm traffic severity):
-═══════════════════════════════════════════════════════════════
-🔍 To confirm LS→SA traffic:
-   1. Check bridge: vehicles on far side (away from orange pillar)
-   2. Check canopy: vehicles on RIGHT side heading toward bridge
-   3. If BOTH show queues → Confirmed LS→SA congestion
-
-🔍 To confirm SA→LS traffic:
-   1. Check bridge: vehicles on near side (by orange pillar)
-   2. Check canopy: cars ENTERING/queuing in the canopy (1-2 rows)
-   3. Check wide/Engen: if backed up here, SA→LS is SEVERE
-   4. If bridge AND canopy show SA→LS queues → Confirmed congestion
-
-═══════════════════════════════════════════════════════════════
-`;
-
-    // Build system prompt with detector counts
-    const systemPrompt = `You are a friendly traffic assistant for Maseru Bridge border crossing between Lesotho and South Africa.
-
-${visualAssessmentReminder}
-${countsInfo}
-${cameraStatusWarning}
-${queueReportsPrompt}
-═══════════════════════════════════════════════════════════════
-TRAFFIC LEVELS (assess EACH direction separately):
-═══════════════════════════════════════════════════════════════
-
-For LS→SA (Lesotho to South Africa):
-• LIGHT: 0-3 vehicles, no queue on bridge far lane or canopy right side
-• MODERATE: 4-8 vehicles, some queue visible on bridge or canopy right
-• HEAVY: 8+ vehicles, clear queue on bridge AND canopy right side
-• SEVERE: Queue extends significantly, long waits expected
-
-For SA→LS (South Africa to Lesotho):
-• LIGHT: 0-3 vehicles, no cars entering canopy
-• MODERATE: 4-8 vehicles, single row of cars queuing into canopy
-• HEAVY: 8+ vehicles, cars in 2 ROWS entering canopy, bridge lane backed up
-• SEVERE: Queue backs up to Engen/approach road (visible in WIDE view)
-
-⚠️ IMPORTANT NOTES:
-• Trucks in canopy area do NOT automatically mean delays - they process elsewhere
-• Only count trucks as causing delays if they are blocking car lanes
-• 2 rows of cars entering canopy = definite HEAVY traffic for SA→LS
-• If Engen/approach road shows queue = SEVERE for SA→LS
-
-═══════════════════════════════════════════════════════════════
-LANGUAGE RULES - EXTREMELY IMPORTANT:
-═══════════════════════════════════════════════════════════════
-
-❌ NEVER SAY (technical jargon):
-- "left side", "right side"
-- "orange pole", "wall area", "wall side"  
-- "green roof", "shelter structures", "canopy"
-- "Lesotho approach", "SA approach"
-- "processing area", "processing yard"
-- "Image 1", "Bridge view", "Canopy view"
-- "automated detection", "detector", "YOLO"
-- "user reports say" (just state the info naturally)
-
-✅ INSTEAD SAY (user-friendly):
-- "2-3 vehicles heading to SA"
-- "No queue forming"
-- "Bridge is clear"
-- "Light traffic in both directions"
-- "About 5 vehicles waiting"
-- "Based on a recent report from X minutes ago..."
-
-═══════════════════════════════════════════════════════════════
-RESPONSE STYLES BY QUESTION TYPE:
-═══════════════════════════════════════════════════════════════
-
-**OFF-TOPIC QUESTIONS** (weather, jokes, news, general knowledge, greetings, etc.):
-→ ⚠️ DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS] format!
-→ Keep response to 1-2 sentences MAX
-→ Be friendly, acknowledge their question briefly
-→ Mention what you CAN see from camera if relevant
-→ Include current status as just a word (LIGHT/MODERATE/HEAVY), not boxes
-
-**DIRECTION-SPECIFIC** ("I'm going from LS to SA"):
-→ Show both directions BUT personalize advice to THEIR direction
-
-**YES/NO QUESTIONS** ("Is there a queue at Engen?"):
-→ Answer directly, don't use direction boxes format
-
-**VISUAL QUESTIONS** ("How does the bridge look?"):
-→ Simple description, don't use direction boxes format
-
-**TIME QUESTIONS** ("What time should I cross?"):
-→ Current status + tips about best times
-
-**GENERAL/DEFAULT** ("How's traffic?", "Current status?"):
-→ Use standard format with BOTH direction boxes
-
-**BORDER INFO** ("What are the hours?"):
-→ "Border operates 6 AM to 10 PM daily. Check official sources to confirm."
-
-═══════════════════════════════════════════════════════════════
-STANDARD FORMAT (for general traffic questions):
-═══════════════════════════════════════════════════════════════
-
-**Traffic:** [One simple sentence]
-
-[LS_TO_SA]
-status: [LIGHT/MODERATE/HEAVY/SEVERE]
-detail: [Include WHERE the queue is - e.g., "About 10 vehicles on the bridge heading to SA." or "Queue extends past Engen petrol station." Keep it simple but location-specific.]
-[/LS_TO_SA]
-
-[SA_TO_LS]
-status: [LIGHT/MODERATE/HEAVY/SEVERE]
-detail: [Include WHERE the queue is - e.g., "3 on the bridge, 5 in the processing area." or "About 8 vehicles - some crossing, others queuing to enter Lesotho." Be specific about bridge vs processing area.]
-[/SA_TO_LS]
-
-**Advice:** [Practical, personalized if direction mentioned]
-
-⚠️ AI estimate from camera snapshots. Conditions change quickly.
+    const camera = resolveCamera(req, res);
+    if (!camera) return;
 
-═══════════════════════════════════════════════════════════════
-REMEMBER:
-═══════════════════════════════════════════════════════════════
-1. Sound like a helpful friend, not a robot
-2. Keep details SHORT and SIMPLE but LOCATION-SPECIFIC
-3. If they mention their direction, focus advice on THEIR journey
-4. NEVER use technical camera terminology
-5. ALWAYS show both directions in standard format
-6. For OFF-TOPIC questions: Be friendly, acknowledge the question, share what you CAN see from the camera if relevant, give current traffic status, and redirect to traffic helpfully`;
+    // Border closed - no traffic to stream
+    const closed = getClosedResponse(camera, message);
+    if (closed) return res.json(closed);
 
-    // Detect question type
-    const questionLower = message.toLowerCase();
-    let questionType = 'general';
-    
-    const offTopicKeywords = [
-      'weather', 'rain', 'sunny', 'cold', 'hot', 'temperature',
-      'joke', 'funny', 'laugh', 'news', 'president', 'politics',
-      'hello', 'hi ', 'hey ', 'how are you', 'who are you',
-      'thank', 'thanks', 'bye', 'goodbye'
-    ];
-    
-    const trafficKeywords = [
-      'traffic', 'queue', 'border', 'crossing', 'bridge', 'vehicle', 'car',
-      'wait', 'busy', 'congestion', 'clear', 'status', 'lesotho', 'south africa'
-    ];
-    
-    const hasOffTopicWord = offTopicKeywords.some(word => questionLower.includes(word));
-    const hasTrafficWord = trafficKeywords.some(word => questionLower.includes(word));
-    
-    if (hasOffTopicWord && !hasTrafficWord) {
-      questionType = 'offtopic';
-    }
-
-    // Build content array
-    const content = [];
-    framesToUse.forEach((frame) => {
-      content.push({
-        type: 'image',
-        source: {
-          type: 'base64',
-          media_type: 'image/jpeg',
-          data: frame.screenshot.toString('base64'),
-        },
+    // Same question (by intent) answered from the same frames?
+    const intent = getQuestionIntent(camera, message);
+    const cached = getCachedResponse(camera, intent);
+    
+    if (cached) {
+      // Return cached response as instant JSON (no streaming needed)
+      return res.json({
+        success: true,
+        message: cached.response,
+        frameTimestamp: cached.frameTimestamp,
+        cached: true,
+        intent: intent.key,
+        cacheAge: Math.round((Date.now() - cached.timestamp) / 1000)
       });
-    });
-
-    let userPrompt;
-    if (questionType === 'offtopic') {
-      userPrompt = `Question type: OFF-TOPIC
-User's question: "${message}"
-
-⚠️ IMPORTANT: This is an off-topic question. DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS].
-Give a SHORT 1-2 sentence friendly response.`;
-    } else {
-      userPrompt = `User's question: "${message}"
+    }
+    
+    // Plain "how's traffic?" - the background snapshot already answers it
+    if (intent?.key === STATUS_INTENT_KEY) {
+      const snapshot = getStatusSnapshot(camera);
+      if (snapshot) {
+        console.log(`📰 [${camera.id}] Answered from status snapshot (${snapshot.cacheAge}s old)`);
+        return res.json({ ...snapshot, intent: intent.key });
+      }
+    }
 
-Respond appropriately. Be helpful and conversational.`;
+    // Capture frame first
+    const startedAt = Date.now();
+    await captureFrame(camera);
+    
+    const selection = selectAnalysisFrames(camera);
+    if (!selection.success) {
+      return res.json(selection);
     }
+    const { framesToUse } = selection;
+
+    // Set up SSE headers
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    res.flushHeaders(); // Send headers immediately to establish connection
 
-    content.push({ type: 'text', text: userPrompt });
+    // Send frame timestamp and camera status first
+    const camStatus = getCameraStatusInfo(camera);
+    const latestFrame = framesToUse[framesToUse.length - 1];
+    res.write(`data: ${JSON.stringify({ type: 'start' })}\n\n`);
+    res.write(`data: ${JSON.stringify({ 
+      type: 'meta', 
+      camera: camera.id,
+      frameTimestamp: latestFrame.timestamp,
+      cameraStatus: camStatus.status,
+      cameraAlert: camStatus.message
+    })}\n\n`);
 
-    // Build analyzed frames info for frontend to display
-    const analyzedFrames = framesToUse.map(f => ({
-      angleType: f.angleType,
-      timestamp: f.timestamp,
-      label: f.angleType === 'bridge' ? 'Bridge' : 
-             f.angleType === 'processing' ? 'Processing' : 
-             f.angleType === 'wide' ? 'Wide/Engen' : 'Unknown',
-      imageData: f.screenshot ? f.screenshot.toString('base64') : null
-    }));
+    // Same engine as /api/chat - detection, levels and prompts
+    console.log(`🔍 Analyzing ${framesToUse.length} frames from angles: ${selection.anglesUsed.join(', ')}`);
+    const prepared = await prepareAnalysis(camera, framesToUse, message);
     
     // Send frames info first so frontend can update carousel immediately
-    res.write(`data: ${JSON.stringify({ type: 'frames', frames: analyzedFrames })}\n\n`);
+    res.write(`data: ${JSON.stringify({ type: 'frames', frames: serializeAnalyzedFrames(camera, framesToUse) })}\n\n`);
 
     // Stream the response
-    const stream = await anthropic.messages.stream({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 1024,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: content }],
-    });
+    const stream = await anthropic.messages.stream(prepared.request);
 
     let fullText = '';
     
@@ -2229,24 +5844,20 @@ Respond appropriately. Be helpful and conversational.`;
     }
 
     // Send done signal
-    res.write(`data: ${JSON.stringify({ type: 'done', fullText: fullText })}\n\n`);
+    const analysis = finishAnalysis(camera, prepared, fullText, startedAt);
+    res.write(`data: ${JSON.stringify({ type: 'done', fullText: fullText, detection: analysis.detection, counts: analysis.counts, waitEstimate: analysis.waitEstimate, visibility: analysis.visibility })}\n\n`);
     res.write('data: [DONE]\n\n');
     
-    // Cache the response for future similar questions
-    const latestFrameTimestamp = framesToUse[framesToUse.length - 1]?.timestamp;
-    cacheResponse(questionCategory, fullText, latestFrameTimestamp);
-    
-    // Log to database (async, don't wait)
-    logTrafficReading(
-      { message: fullText },
-      framesToUse.map(f => ({ angleType: f.angleType, timestamp: f.timestamp })),
-      0
-    );
+    // Cache the response for future questions with the same intent
+    cacheResponse(camera, intent, fullText, framesToUse);
     
     res.end();
     
   } catch (error) {
     console.error('Streaming error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, message: 'Failed to process your question' });
+    }
     res.write(`data: ${JSON.stringify({ type: 'error', message: 'Failed to process your question' })}\n\n`);
     res.write('data: [DONE]\n\n');
     res.end();
@@ -2254,9 +5865,12 @@ Respond appropriately. Be helpful and conversational.`;
 });
 
 app.get('/api/screenshot', async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
   try {
-    await captureFrame();
-    const screenshot = getLatestScreenshot();
+    await captureFrame(camera);
+    const screenshot = getLatestScreenshot(camera);
     
     if (!screenshot) {
       return res.status(503).json({ success: false, message: 'No screenshot available' });
@@ -2271,15 +5885,17 @@ app.get('/api/screenshot', async (req, res) => {
 
 // Get all unique frames (one per angle type)
 app.get('/api/frames', async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  const { screenshotBuffer, preservedFrames } = camera;
+  
   try {
     // Get the most recent frame of each angle type
     const framesByAngle = {};
-    const angleLabels = {
-      'bridge': 'Bridge',
-      'processing': 'Canopy', 
-      'wide': 'Engen',
-      'useless': null // Skip useless frames
-    };
+    const angleLabels = {};
+    for (const [angleType, angle] of Object.entries(camera.angles)) {
+      angleLabels[angleType] = angle.label;
+    }
     
     // Maximum age for "fresh" vs "stale" (for UI indicator)
     const FRESH_THRESHOLD_MS = 10 * 60 * 1000; // 10 minutes
@@ -2311,7 +5927,7 @@ app.get('/api/frames', async (req, res) => {
     // Fill in any missing angles from preserved frames
     // IMPORTANT: Allow older preserved frames (up to 1 hour) for carousel display
     // This helps when camera is stuck on certain angles
-    const order = ['bridge', 'processing', 'wide'];
+    const order = Object.keys(camera.angles);
     for (const angleType of order) {
       if (!framesByAngle[angleType] && preservedFrames[angleType]) {
         const frame = preservedFrames[angleType];
@@ -2334,7 +5950,7 @@ app.get('/api/frames', async (req, res) => {
       }
     }
     
-    // Convert to array and sort by preferred order: Bridge, Canopy, Engen
+    // Convert to array and sort by the camera's angle order (Maseru: Bridge, Canopy, Engen)
     const frames = order
       .filter(type => framesByAngle[type])
       .map(type => framesByAngle[type]);
@@ -2347,7 +5963,11 @@ app.get('/api/frames', async (req, res) => {
     let statusMessage = null;
     const availableAngles = freshFrames.map(f => f.label);
     
-    if (freshFrames.length === 0) {
+    if (camera.cameraStatus.status === 'frozen') {
+      // Frames are there but the stream stopped changing (showing the last live ones)
+      cameraStatus = 'frozen';
+      statusMessage = getCameraStatusInfo(camera).message;
+    } else if (freshFrames.length === 0) {
       // No fresh frames at all - camera may be offline
       if (frames.length > 0) {
         cameraStatus = 'stale';
@@ -2373,6 +5993,7 @@ app.get('/api/frames', async (req, res) => {
     
     res.json({
       success: true,
+      camera: camera.id,
       frames: frames,
       totalInBuffer: screenshotBuffer.length,
       cameraStatus: cameraStatus,
@@ -2387,11 +6008,12 @@ app.get('/api/frames', async (req, res) => {
 });
 
 app.get('/api/health', (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  const { screenshotBuffer, preservedFrames } = camera;
+  
   // Count frames by type in buffer
-  const bufferCounts = screenshotBuffer.reduce((acc, f) => {
-    acc[f.angleType] = (acc[f.angleType] || 0) + 1;
-    return acc;
-  }, {});
+  const bufferCounts = countFramesByAngle(camera);
   
   // Check preserved frames status
   const preservedStatus = {};
@@ -2408,39 +6030,51 @@ app.get('/api/health', (req, res) => {
     }
   }
   
+  // Overview of every registered camera
+  const cameraOverview = {};
+  for (const cam of cameras.values()) {
+    cameraOverview[cam.id] = {
+      status: cam.cameraStatus.status,
+      bufferSize: cam.screenshotBuffer.length,
+    };
+  }
+  
   res.json({
     status: 'ok',
+    camera: camera.id,
     bufferSize: screenshotBuffer.length,
     bufferCounts: bufferCounts,
     preservedFrames: preservedStatus,
     lastCapture: screenshotBuffer.length > 0 ? new Date(screenshotBuffer[screenshotBuffer.length - 1].timestamp).toISOString() : 'none',
+    cameras: cameraOverview,
+    detector: getDetectorStatus(),
     uptime: process.uptime(),
   });
 });
 
 // Debug endpoint to test classification on current frame
 app.get('/api/debug/classify', async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
   try {
     // Capture a fresh frame
-    console.log('🔍 Debug: Capturing frame for classification test...');
-    const imageBuffer = await captureFrame();
+    console.log(`🔍 Debug: Capturing ${camera.id} frame for classification test...`);
+    const imageBuffer = await captureFrame(camera);
     
     if (!imageBuffer) {
       return res.json({ success: false, message: 'Failed to capture frame' });
     }
     
-    // Get the last captured frame's classification
-    const lastFrame = screenshotBuffer[screenshotBuffer.length - 1];
+    // The most recent classification, with method, scores and raw model answers
+    const last = camera.classifications[camera.classifications.length - 1];
     
     res.json({
       success: true,
-      classification: lastFrame?.angleType || 'unknown',
-      timestamp: lastFrame?.timestamp ? new Date(lastFrame.timestamp).toISOString() : null,
-      bufferCounts: screenshotBuffer.reduce((acc, f) => {
-        acc[f.angleType] = (acc[f.angleType] || 0) + 1;
-        return acc;
-      }, {}),
-      message: `Frame classified as: ${lastFrame?.angleType || 'unknown'}`
+      camera: camera.id,
+      classification: last ? serializeClassification(last) : null,
+      bufferCounts: countFramesByAngle(camera),
+      message: `Frame classified as: ${last?.angleType || 'unknown'}`
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -2626,15 +6260,10 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
       });
     }
 
-    // Get cache stats
+    // Get cache stats per camera
     const cacheStats = {};
-    for (const [category, cached] of Object.entries(responseCache)) {
-      if (cached) {
-        const age = Math.round((now - cached.timestamp) / 1000);
-        cacheStats[category] = { ageSeconds: age, valid: age < (CACHE_TTL / 1000) };
-      } else {
-        cacheStats[category] = null;
-      }
+    for (const camera of cameras.values()) {
+      cacheStats[camera.id] = getResponseCacheStats(camera);
     }
 
     // Get unique days with activity (proxy for engagement)
@@ -2661,7 +6290,7 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
         cache: cacheStats,
         server: {
           uptime: Math.round(process.uptime()),
-          bufferSize: screenshotBuffer.length
+          bufferSize: [...cameras.values()].reduce((sum, camera) => sum + camera.screenshotBuffer.length, 0)
         }
       }
     });
@@ -2710,44 +6339,246 @@ app.get('/api/admin/questions', requireAdmin, async (req, res) => {
   }
 });
 
+// Classification review queue (for admin)
+app.get('/api/admin/classifications', requireAdmin, (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  const status = ['pending', 'reviewed', 'all'].includes(req.query.status) ? req.query.status : 'pending';
+  const limit = Math.min(parseInt(req.query.limit) || 30, CLASSIFICATION_LOG_SIZE);
+  const pending = camera.classifications.filter(c => !c.review).length;
+  
+  res.json({
+    success: true,
+    camera: camera.id,
+    angles: [...Object.keys(camera.angles), ANGLE_TYPES.USELESS],
+    counts: { pending, reviewed: camera.classifications.length - pending },
+    referenceImages: camera.referenceLibrary.length,
+    classifications: getReviewQueue(camera, { status, limit }).map(serializeClassification)
+  });
+});
+
+// Frame image for a classification
+app.get('/api/admin/classifications/:id/frame', requireAdmin, async (req, res) => {
+  const found = findClassification(req.params.id);
+  if (!found) {
+    return res.status(404).json({ success: false, message: 'Classification not found' });
+  }
+  
+  try {
+    const image = await getClassificationImage(found.entry);
+    if (!image) {
+      return res.status(404).json({ success: false, message: 'Frame no longer available' });
+    }
+    res.set('Content-Type', 'image/jpeg');
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(image);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Confirm or correct a classification
+app.post('/api/admin/classifications/:id/review', requireAdmin, async (req, res) => {
+  const found = findClassification(req.params.id);
+  if (!found) {
+    return res.status(404).json({ success: false, message: 'Classification not found' });
+  }
+  
+  const { camera, entry } = found;
+  const { angleType } = req.body;
+  // Own keys only - 'constructor' and friends would otherwise become reference dirs
+  if (angleType !== ANGLE_TYPES.USELESS && !(typeof angleType === 'string' && Object.hasOwn(camera.angles, angleType))) {
+    return res.status(400).json({ success: false, message: `Unknown angle for ${camera.id}: ${angleType}` });
+  }
+  
+  try {
+    const referenceAdded = await reviewClassification(camera, entry, angleType);
+    res.json({ success: true, classification: serializeClassification(entry), referenceAdded });
+  } catch (error) {
+    console.error('Classification review error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save review' });
+  }
+});
+
+// Congestion thresholds for a camera (stored config + what applies right now)
+app.get('/api/admin/thresholds', requireAdmin, (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  res.json({
+    success: true,
+    camera: camera.id,
+    thresholds: camera.thresholds,
+    effective: getEffectiveThresholds(camera),
+    defaults: DEFAULT_THRESHOLDS
+  });
+});
+
+// Update thresholds - body: { camera, thresholds: { lsToSa?, saToLs?, severeRule?, timeOfDay? } }
+// Partial updates are merged onto the camera's current thresholds
+app.put('/api/admin/thresholds', requireAdmin, async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  const updates = req.body?.thresholds;
+  if (!updates || typeof updates !== 'object') {
+    return res.status(400).json({ success: false, message: 'thresholds object required' });
+  }
+  
+  const current = camera.thresholds;
+  const thresholds = mergeThresholds({
+    lsToSa: { ...current.lsToSa, ...updates.lsToSa },
+    saToLs: { ...current.saToLs, ...updates.saToLs },
+    severeRule: { ...current.severeRule, ...updates.severeRule },
+    timeOfDay: updates.timeOfDay ?? current.timeOfDay
+  });
+  
+  const problem = validateThresholds(thresholds);
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+  
+  try {
+    await saveThresholds(camera.id, thresholds);
+    camera.thresholds = thresholds;
+    camera.latestAnalysis = null; // Re-rate with the new levels on the next request
+    clearResponseCache(camera);
+    console.log(`🎚️ [${camera.id}] Traffic thresholds updated`);
+    res.json({ success: true, camera: camera.id, thresholds, effective: getEffectiveThresholds(camera) });
+  } catch (error) {
+    console.error('Threshold save error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save thresholds' });
+  }
+});
+
+// Reset a camera to the default thresholds
+app.delete('/api/admin/thresholds', requireAdmin, async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  try {
+    await saveThresholds(camera.id, null);
+    camera.thresholds = mergeThresholds(camera.thresholdDefaults);
+    camera.latestAnalysis = null;
+    clearResponseCache(camera);
+    console.log(`🎚️ [${camera.id}] Traffic thresholds reset to defaults`);
+    res.json({ success: true, camera: camera.id, thresholds: camera.thresholds });
+  } catch (error) {
+    console.error('Threshold reset error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset thresholds' });
+  }
+});
+
+// Border operating hours for a camera (schedule + whether it's open right now)
+app.get('/api/admin/operating-hours', requireAdmin, (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  res.json({
+    success: true,
+    camera: camera.id,
+    schedule: camera.operatingHours,
+    timeZone: camera.timeZone,
+    summary: describeOperatingHours(camera.operatingHours),
+    border: getBorderState(camera),
+    defaults: DEFAULT_OPERATING_HOURS
+  });
+});
+
+// Update hours - body: { camera, schedule: { weekly?: { mon: { open, close } | null, ... }, exceptions? } }
+// Weekly days are merged onto the current schedule; exceptions replace the list
+app.put('/api/admin/operating-hours', requireAdmin, async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  const updates = req.body?.schedule;
+  if (!updates || typeof updates !== 'object') {
+    return res.status(400).json({ success: false, message: 'schedule object required' });
+  }
+  
+  const current = camera.operatingHours;
+  const schedule = mergeOperatingHours({
+    weekly: { ...current.weekly, ...updates.weekly },
+    exceptions: updates.exceptions ?? current.exceptions
+  });
+  
+  const problem = validateOperatingHours(schedule);
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+  
+  try {
+    await saveOperatingHours(camera.id, schedule);
+    camera.operatingHours = schedule;
+    clearResponseCache(camera);
+    console.log(`🕕 [${camera.id}] Operating hours updated: ${describeOperatingHours(schedule)}`);
+    res.json({ success: true, camera: camera.id, schedule, border: getBorderState(camera) });
+  } catch (error) {
+    console.error('Operating hours save error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save operating hours' });
+  }
+});
+
+// Reset a camera to the default operating hours
+app.delete('/api/admin/operating-hours', requireAdmin, async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  try {
+    await saveOperatingHours(camera.id, null);
+    camera.operatingHours = mergeOperatingHours(camera.operatingHoursDefaults);
+    clearResponseCache(camera);
+    console.log(`🕕 [${camera.id}] Operating hours reset to defaults`);
+    res.json({ success: true, camera: camera.id, schedule: camera.operatingHours, border: getBorderState(camera) });
+  } catch (error) {
+    console.error('Operating hours reset error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset operating hours' });
+  }
+});
+
 app.get('/api/debug', (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  const { screenshotBuffer } = camera;
+  
   // Count frames by angle type
-  const angleCounts = screenshotBuffer.reduce((acc, f) => {
-    acc[f.angleType] = (acc[f.angleType] || 0) + 1;
-    return acc;
-  }, {});
+  const angleCounts = countFramesByAngle(camera);
   
   // Get cache status
-  const now = Date.now();
-  const cacheStatus = {};
-  for (const [category, cached] of Object.entries(responseCache)) {
-    if (cached) {
-      const age = Math.round((now - cached.timestamp) / 1000);
-      const isValid = age < (CACHE_TTL / 1000);
-      cacheStatus[category] = {
-        ageSeconds: age,
-        valid: isValid,
-        expiresIn: isValid ? Math.round((CACHE_TTL / 1000) - age) : 0
-      };
-    } else {
-      cacheStatus[category] = null;
-    }
-  }
+  const cacheStatus = getResponseCacheStats(camera);
   
   res.json({
-    streamUrl: config.streamUrl,
+    camera: camera.id,
+    cameras: [...cameras.keys()],
+    frameSource: {
+      type: camera.source.type,
+      location: camera.source.describe(),
+      reader: camera.source.getStats ? camera.source.getStats() : null,
+    },
     bufferSize: screenshotBuffer.length,
     angleCounts: angleCounts,
     responseCache: cacheStatus,
-    cameraStatus: getCameraStatusInfo(),
-    angleHistory: cameraStatus.angleHistory.slice(-15),
+    liveClients: camera.liveClients.size,
+    sharpness: getSharpnessSummary(camera),
+    cameraStatus: getCameraStatusInfo(camera),
+    angleHistory: camera.cameraStatus.angleHistory.slice(-15),
     frames: screenshotBuffer.map(f => ({
       timestamp: new Date(f.timestamp).toISOString(),
       angleType: f.angleType,
-      size: f.screenshot.length
+      size: f.screenshot.length,
+      sharpness: f.sharpness ?? null,
+      confidence: f.confidence ?? null,
+      classificationMethod: f.classificationMethod || null,
+      counts: f.counts ? { LS_to_SA: f.counts.LS_to_SA, SA_to_LS: f.counts.SA_to_LS, total: f.counts.total } : null
     })),
-    isCapturing,
-    isClassifying,
+    trafficHistory: {
+      readings: camera.trafficHistory.readings.length,
+      trend: camera.trafficHistory.analyzeTrends()
+    },
+    referenceImages: camera.referenceLibrary.length,
+    isCapturing: camera.isCapturing,
+    isClassifying: camera.isClassifying,
     supabaseConnected: !!supabase
   });
 });
@@ -2823,8 +6654,8 @@ async function getActiveQueueReports() {
 }
 
 // Helper: Format queue reports for Claude's prompt
-async function formatQueueReportsForPrompt() {
-  const reports = await getActiveQueueReports();
+async function formatQueueReportsForPrompt(reports = null) {
+  reports = reports || await getActiveQueueReports();
   
   if (reports.length === 0) {
     return `
@@ -3214,6 +7045,12 @@ app.post('/api/reports', async (req, res) => {
     
     console.log(`📊 New queue report: ${checkpoint} - ${queue_length}, ${processing_speed} speed, ${windowsNum} windows`);
     
+    // Reports aren't tied to one camera - every live client hears about it
+    const { user_id, ...publicReport } = newReport;
+    for (const camera of cameras.values()) {
+      broadcastLive(camera, 'queue_report', { report: { ...publicReport, checkpoint: publicReport.checkpoint || checkpoint, minutes_ago: 0, freshness: 'fresh' } });
+    }
+    
     res.json({
       success: true,
       message: 'Report submitted successfully! Thank you for helping other travelers.',
@@ -3228,6 +7065,138 @@ app.post('/api/reports', async (req, res) => {
   }
 });
 
+// GET /api/alerts/public-key - VAPID key the PWA subscribes with
+app.get('/api/alerts/public-key', (req, res) => {
+  res.json({ success: true, enabled: pushEnabled, publicKey: pushEnabled ? config.vapidPublicKey : null });
+});
+
+// POST /api/alerts/subscribe - Register this browser for push alerts (requires login)
+app.post('/api/alerts/subscribe', requireUser, async (req, res) => {
+  if (!pushEnabled) {
+    return res.status(503).json({ success: false, message: 'Push alerts are not configured on this server' });
+  }
+  
+  const { subscription } = req.body || {};
+  const endpoint = subscription?.endpoint;
+  const keys = subscription?.keys;
+  if (typeof endpoint !== 'string' || typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+    return res.status(400).json({ success: false, message: 'Invalid push subscription' });
+  }
+  if (!isKnownPushEndpoint(endpoint)) {
+    return res.status(400).json({ success: false, message: 'Unsupported push service' });
+  }
+  
+  // An endpoint belongs to one browser - re-subscribing moves it to the current user
+  const entry = {
+    userId: req.userId,
+    endpoint,
+    keys: { p256dh: keys.p256dh, auth: keys.auth },
+  };
+  
+  try {
+    await savePushSubscription(entry);
+    console.log(`🔔 User ${req.userId} subscribed to push alerts`);
+    res.json({ success: true, message: 'Push alerts enabled', rules: getUserAlertRules(req.userId).length });
+  } catch (err) {
+    console.error('❌ Failed to save push subscription:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to save subscription' });
+  }
+});
+
+// POST /api/alerts/unsubscribe - Stop push alerts for this browser (requires login)
+app.post('/api/alerts/unsubscribe', requireUser, async (req, res) => {
+  const endpoint = req.body?.endpoint;
+  if (typeof endpoint !== 'string') {
+    return res.status(400).json({ success: false, message: 'Endpoint required' });
+  }
+  
+  const existing = pushSubscriptions.get(endpoint);
+  if (existing && existing.userId !== req.userId) {
+    return res.status(403).json({ success: false, message: 'Subscription belongs to another user' });
+  }
+  
+  await removePushSubscription(endpoint);
+  console.log(`🔕 User ${req.userId} unsubscribed from push alerts`);
+  res.json({ success: true, message: 'Push alerts disabled' });
+});
+
+// GET /api/alerts/rules - The logged-in user's alert rules
+app.get('/api/alerts/rules', requireUser, (req, res) => {
+  const subscribed = [...pushSubscriptions.values()].some(s => s.userId === req.userId);
+  res.json({
+    success: true,
+    rules: getUserAlertRules(req.userId).map(serializeAlertRule),
+    subscribed,
+    defaults: DEFAULT_ALERT_RULE,
+  });
+});
+
+// POST /api/alerts/rules - Create a rule (camera from body/query, default Maseru)
+app.post('/api/alerts/rules', requireUser, async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  if (getUserAlertRules(req.userId).length >= MAX_ALERT_RULES_PER_USER) {
+    return res.status(400).json({ success: false, message: `At most ${MAX_ALERT_RULES_PER_USER} alert rules per user` });
+  }
+  
+  const rule = buildAlertRule(req.body || {});
+  const problem = validateAlertRule(rule);
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+  
+  try {
+    const saved = await saveAlertRule({ userId: req.userId, cameraId: camera.id, ...rule, lastSent: {} });
+    console.log(`🔔 User ${req.userId} added alert rule ${saved.id} (${saved.direction} ${saved.comparison} ${saved.status})`);
+    res.json({ success: true, rule: serializeAlertRule(saved) });
+  } catch (err) {
+    console.error('❌ Failed to save alert rule:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to save alert rule' });
+  }
+});
+
+// PUT /api/alerts/rules/:id - Update some or all fields of a rule
+app.put('/api/alerts/rules/:id', requireUser, async (req, res) => {
+  const existing = alertRules.get(req.params.id);
+  if (!existing || existing.userId !== req.userId) {
+    return res.status(404).json({ success: false, message: 'Alert rule not found' });
+  }
+  
+  const rule = buildAlertRule(req.body || {}, existing);
+  const problem = validateAlertRule(rule);
+  if (problem) {
+    return res.status(400).json({ success: false, message: problem });
+  }
+  
+  try {
+    const saved = await saveAlertRule({ ...existing, ...rule });
+    // Conditions may have changed - let the next assessment alert afresh
+    clearAlertRuleState(saved.id);
+    res.json({ success: true, rule: serializeAlertRule(saved) });
+  } catch (err) {
+    console.error('❌ Failed to update alert rule:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to update alert rule' });
+  }
+});
+
+// DELETE /api/alerts/rules/:id
+app.delete('/api/alerts/rules/:id', requireUser, async (req, res) => {
+  const existing = alertRules.get(req.params.id);
+  if (!existing || existing.userId !== req.userId) {
+    return res.status(404).json({ success: false, message: 'Alert rule not found' });
+  }
+  
+  try {
+    await deleteAlertRule(existing.id);
+    console.log(`🔕 User ${req.userId} deleted alert rule ${existing.id}`);
+    res.json({ success: true, message: 'Alert rule deleted' });
+  } catch (err) {
+    console.error('❌ Failed to delete alert rule:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to delete alert rule' });
+  }
+});
+
 // Get typical traffic patterns
 app.get('/api/patterns', async (req, res) => {
   if (!supabase) {
@@ -3252,6 +7221,33 @@ app.get('/api/patterns', async (req, res) => {
   }
 });
 
+// Short-term forecast: predicted status and wait per 30-minute slot
+// GET /api/forecast?direction=ls_to_sa&hours=6
+app.get('/api/forecast', async (req, res) => {
+  const camera = resolveCamera(req, res);
+  if (!camera) return;
+  
+  const directions = { ls_to_sa: 'lsToSa', sa_to_ls: 'saToLs' };
+  const direction = directions[req.query.direction];
+  if (!direction) {
+    return res.status(400).json({ success: false, message: 'direction must be ls_to_sa or sa_to_ls' });
+  }
+  
+  const hours = Math.min(Math.max(parseInt(req.query.hours) || 6, 1), FORECAST_MAX_HOURS);
+  
+  if (!supabase) {
+    return res.json({ success: false, message: 'Database not connected', slots: [] });
+  }
+  
+  try {
+    const forecast = await forecastTraffic(camera, direction, hours);
+    res.json({ success: true, camera: camera.id, ...forecast, direction: req.query.direction });
+  } catch (err) {
+    console.error('Forecast error:', err);
+    res.status(500).json({ success: false, message: 'Failed to build forecast', slots: [] });
+  }
+});
+
 // Insights API endpoint for charts and analytics
 app.get('/api/insights', async (req, res) => {
   if (!supabase) {
@@ -3727,180 +7723,41 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Background capture
-async function startBackgroundCapture() {
-  console.log('🔄 Starting background capture with angle-change detection...');
+// Background capture - one loop per registered camera
+async function startBackgroundCapture(camera) {
+  console.log(`🔄 [${camera.id}] Starting background capture with angle-change detection...`);
   
   // Initial capture
-  await captureFrame();
+  await captureFrame(camera);
   
-  // Rapid sampling every 20 seconds, but only save when angle changes
+  // Rapid sampling every 20 seconds, but only save when angle changes.
+  // While the border is closed, only every CLOSED_CAPTURE_INTERVAL.
   setInterval(async () => {
-    await smartCapture();
+    const border = getBorderState(camera);
+    if (border.open !== camera.borderOpen) {
+      console.log(border.open
+        ? `🌅 [${camera.id}] Border open - resuming normal capture`
+        : `🌙 [${camera.id}] Border closed - capturing every ${CLOSED_CAPTURE_INTERVAL / 60000} min${border.opensIn ? ` until it opens (in ${border.opensIn})` : ''}`);
+      camera.borderOpen = border.open;
+    }
+    
+    if (!border.open) {
+      // No point holding the stream open between captures 15 minutes apart
+      if (!camera.isCapturing) camera.source.pause?.();
+      if (Date.now() - camera.lastClosedCapture < CLOSED_CAPTURE_INTERVAL) return;
+      camera.lastClosedCapture = Date.now();
+    }
+    
+    await smartCapture(camera);
+    if (!border.open && !camera.isCapturing) camera.source.pause?.();
   }, 20000); // Check every 20 seconds
 }
 
-// Track last captured angle to detect camera movement
-let lastCapturedAngle = null;
-let lastAngleChangeTime = 0;
-let consecutiveSameAngle = 0;
-
-// Smart capture: Only save frame if camera angle changed OR it's been too long
-async function smartCapture() {
-  if (isCapturing) {
-    console.log('⏳ Capture already in progress');
-    return;
-  }
-
-  isCapturing = true;
-  const outputPath = '/tmp/frame.jpg';
-
-  return new Promise((resolve) => {
-    const ffmpeg = spawn('ffmpeg', [
-      '-y',
-      '-i', config.streamUrl,
-      '-vframes', '1',
-      '-q:v', '2',
-      '-vf', 'scale=800:-1',
-      outputPath
-    ], {
-      timeout: 30000,
-    });
-
-    let stderr = '';
-    
-    ffmpeg.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    ffmpeg.on('close', async (code) => {
-      isCapturing = false;
-      
-      if (code === 0 && fs.existsSync(outputPath)) {
-        try {
-          const imageBuffer = fs.readFileSync(outputPath);
-          const timestamp = Date.now();
-          
-          // Check for motion blur BEFORE classification
-          if (isImageBlurry(imageBuffer)) {
-            // Skip blurry frames entirely - camera is probably still moving
-            resolve(null);
-            return;
-          }
-          
-          // Classify the frame angle
-          const angleType = await classifyFrameAngle(imageBuffer);
-          
-          const timeSinceLastChange = timestamp - lastAngleChangeTime;
-          const isNewAngle = angleType !== lastCapturedAngle && angleType !== 'useless';
-          const tooLongSameAngle = timeSinceLastChange > 180000; // 3 minutes without change
-          
-          // Decide whether to save this frame
-          let shouldSave = false;
-          let reason = '';
-          
-          if (isNewAngle) {
-            // Camera moved to a new angle - SAVE!
-            shouldSave = true;
-            reason = 'angle changed';
-            consecutiveSameAngle = 0;
-            lastAngleChangeTime = timestamp;
-          } else if (tooLongSameAngle && angleType !== 'useless') {
-            // Been too long, save anyway to keep frame fresh
-            shouldSave = true;
-            reason = 'refresh (same angle)';
-            consecutiveSameAngle++;
-          } else if (angleType === 'useless') {
-            // Useless frame - check but don't increment
-            reason = 'useless (skipped)';
-            shouldSave = false;
-          } else {
-            // Same angle, not time to refresh yet
-            consecutiveSameAngle++;
-            reason = `same angle (${consecutiveSameAngle}x)`;
-            shouldSave = false;
-          }
-          
-          if (shouldSave) {
-            const frameData = {
-              screenshot: imageBuffer,
-              timestamp: timestamp,
-              angleType: angleType
-            };
-            
-            // Add to buffer
-            screenshotBuffer.push(frameData);
-            
-            // Also preserve the latest frame for each useful angle type
-            if (angleType !== 'useless' && preservedFrames.hasOwnProperty(angleType)) {
-              preservedFrames[angleType] = frameData;
-              
-              // Upload to Supabase Storage and update database
-              const framePath = await uploadFrameToStorage(imageBuffer, angleType, timestamp);
-              if (framePath) {
-                await updatePreservedFrame(angleType, framePath, timestamp);
-                await logFrameHistory(angleType, framePath, timestamp);
-              }
-            }
-            
-            // Keep only recent frames in main buffer
-            if (screenshotBuffer.length > config.maxBufferSize) {
-              screenshotBuffer = screenshotBuffer.slice(-config.maxBufferSize);
-            }
-            
-            // Record successful capture for camera status tracking
-            recordCaptureSuccess(angleType);
-            
-            // Count frames by type
-            const counts = screenshotBuffer.reduce((acc, f) => {
-              acc[f.angleType] = (acc[f.angleType] || 0) + 1;
-              return acc;
-            }, {});
-            
-            console.log(`✅ Frame SAVED (${angleType}) - ${reason}. Buffer: ${JSON.stringify(counts)}`);
-          } else {
-            console.log(`⏭️ Frame skipped (${angleType}) - ${reason}`);
-          }
-          
-          // Update last captured angle (for non-useless frames)
-          if (angleType !== 'useless') {
-            lastCapturedAngle = angleType;
-          }
-          
-          resolve(imageBuffer);
-        } catch (err) {
-          console.error('❌ Failed to read captured frame:', err.message);
-          recordCaptureFailure();
-          resolve(null);
-        }
-      } else {
-        console.error(`❌ ffmpeg failed with code ${code}`);
-        recordCaptureFailure();
-        resolve(null);
-      }
-    });
-
-    ffmpeg.on('error', (err) => {
-      isCapturing = false;
-      console.error('❌ ffmpeg error:', err.message);
-      recordCaptureFailure();
-      resolve(null);
-    });
-
-    setTimeout(() => {
-      if (isCapturing) {
-        ffmpeg.kill('SIGKILL');
-        isCapturing = false;
-        console.error('❌ ffmpeg timeout');
-        resolve(null);
-      }
-    }, 25000);
-  });
+// Smart capture for the background loop: only save frame if camera angle changed OR it's been too long
+async function smartCapture(camera) {
+  return runCapturePipeline(camera, { mode: 'smart' });
 }
 
-// Keep original captureFrame for on-demand captures (API calls)
-// Burst capture removed - smartCapture handles angle detection now
-
 // =============================================
 // MESSAGE REACTIONS API
 // =============================================
@@ -4219,16 +8076,32 @@ app.get('/api/activity/stats', async (req, res) => {
 async function start() {
   console.log('🌉 Maseru Bridge Traffic Bot v2.0');
   console.log('=================================');
-  console.log(`📡 Stream URL: ${config.streamUrl}`);
+  for (const camera of cameras.values()) {
+    console.log(`📡 ${camera.name} [${camera.id}]: ${camera.source.type} (${camera.source.describe()})`);
+  }
   console.log(`📊 Multi-frame analysis: ${config.analysisFrames} frames`);
   
   // Load preserved frames from Supabase on startup
   if (supabase) {
     console.log('📂 Loading preserved frames from database...');
     await loadPreservedFramesFromDB();
+    await loadClassificationsFromDB();
+    await loadThresholdsFromDB();
+    await loadOperatingHoursFromDB();
+    await loadIncidentsFromDB();
+    await loadTrafficHistoryFromDB();
+    await loadPushSubscriptionsFromDB();
+    await loadAlertRulesFromDB();
   }
   
-  startBackgroundCapture();
+  startClassificationRetention();
+  startDetectorHealthProbe();
+  await loadCalendar();
+  
+  for (const camera of cameras.values()) {
+    await loadReferenceLibrary(camera);
+    startBackgroundCapture(camera);
+  }
   
   app.listen(config.port, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${config.port}`);
@@ -0,0 +1,159 @@
+-- Camera registry schema (multi-camera) and the tables added alongside it.
+-- Run once against the existing database before deploying, e.g. in the
+-- Supabase SQL editor or with `supabase db push`. Safe to re-run.
+--
+-- Rows written before multi-camera belong to the default camera, 'maseru'.
+-- User ids are stored as text so they match traffic_users.id whatever its type.
+
+-- =============================================
+-- EXISTING TABLES
+-- =============================================
+
+-- One preserved frame per camera + angle (was one per angle)
+alter table preserved_frames add column if not exists camera_id text;
+update preserved_frames set camera_id = 'maseru' where camera_id is null;
+alter table preserved_frames alter column camera_id set not null;
+
+-- Drop the old unique key on angle_type alone, whatever it was called
+do $$
+declare
+  old_key record;
+begin
+  for old_key in
+    select con.conname
+    from pg_constraint con
+    where con.conrelid = 'preserved_frames'::regclass
+      and con.contype in ('u', 'p')
+      and con.conkey = array[(
+        select attnum from pg_attribute
+        where attrelid = 'preserved_frames'::regclass and attname = 'angle_type'
+      )]::int2[]
+  loop
+    execute format('alter table preserved_frames drop constraint %I', old_key.conname);
+  end loop;
+end $$;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'preserved_frames_camera_angle_key') then
+    alter table preserved_frames
+      add constraint preserved_frames_camera_angle_key unique (camera_id, angle_type);
+  end if;
+end $$;
+
+alter table frame_history add column if not exists camera_id text;
+update frame_history set camera_id = 'maseru' where camera_id is null;
+create index if not exists frame_history_camera_timestamp_idx on frame_history (camera_id, timestamp);
+
+-- Readings: camera plus the detector / calendar / lighting context of each analysis
+alter table traffic_readings add column if not exists camera_id text;
+update traffic_readings set camera_id = 'maseru' where camera_id is null;
+alter table traffic_readings add column if not exists detection_mode text;
+alter table traffic_readings add column if not exists ls_to_sa_count numeric;
+alter table traffic_readings add column if not exists sa_to_ls_count numeric;
+alter table traffic_readings add column if not exists ls_to_sa_level text;
+alter table traffic_readings add column if not exists sa_to_ls_level text;
+alter table traffic_readings add column if not exists direction_uncertain boolean;
+alter table traffic_readings add column if not exists engen_queue_detected boolean;
+alter table traffic_readings add column if not exists vehicle_breakdown jsonb;
+alter table traffic_readings add column if not exists trend jsonb;
+alter table traffic_readings add column if not exists detector_counts jsonb;
+alter table traffic_readings add column if not exists calendar_tags jsonb;
+alter table traffic_readings add column if not exists lighting_profile text;
+create index if not exists traffic_readings_camera_timestamp_idx on traffic_readings (camera_id, timestamp);
+
+-- =============================================
+-- NEW TABLES
+-- =============================================
+-- The server uses the service key; RLS with no policies keeps them closed to anon.
+
+-- Detector counts, one row per detected frame
+create table if not exists vehicle_counts (
+  id bigint generated always as identity primary key,
+  camera_id text not null,
+  angle_type text not null,
+  frame_timestamp timestamptz not null,
+  ls_to_sa integer,
+  sa_to_ls integer,
+  total integer,
+  direction_uncertain boolean not null default false,
+  breakdown jsonb,
+  counts jsonb,
+  created_at timestamptz not null default now()
+);
+create index if not exists vehicle_counts_frame_timestamp_idx on vehicle_counts (frame_timestamp);
+
+-- Per-camera congestion thresholds (no row = defaults)
+create table if not exists traffic_thresholds (
+  camera_id text primary key,
+  thresholds jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Per-camera operating hours (no row = defaults)
+create table if not exists operating_hours (
+  camera_id text primary key,
+  schedule jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Camera down / frozen / stuck-on-angle periods
+create table if not exists camera_incidents (
+  id bigint generated always as identity primary key,
+  camera_id text not null,
+  type text not null,
+  details jsonb,
+  started_at timestamptz not null,
+  ended_at timestamptz,
+  duration_ms bigint
+);
+create index if not exists camera_incidents_started_at_idx on camera_incidents (started_at);
+
+-- Angle classification log and review queue (expired by the server after 14 days)
+create table if not exists frame_classifications (
+  id text primary key,
+  camera_id text not null,
+  timestamp timestamptz not null,
+  angle_type text not null,
+  method text not null,
+  confidence real,
+  scores jsonb,
+  answers jsonb,
+  sharpness real,
+  outcome text,
+  frame_path text,
+  review_status text not null default 'pending',
+  corrected_angle text,
+  reviewed_at timestamptz
+);
+create index if not exists frame_classifications_timestamp_idx on frame_classifications (timestamp);
+create index if not exists frame_classifications_review_idx on frame_classifications (review_status, timestamp desc);
+
+-- Web Push subscriptions, one per browser endpoint
+create table if not exists push_subscriptions (
+  endpoint text primary key,
+  user_id text not null,
+  keys jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- User alert rules
+create table if not exists alert_rules (
+  id bigint generated always as identity primary key,
+  user_id text not null,
+  camera_id text not null,
+  rule jsonb not null,
+  last_sent jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists alert_rules_user_idx on alert_rules (user_id);
+
+alter table vehicle_counts enable row level security;
+alter table traffic_thresholds enable row level security;
+alter table operating_hours enable row level security;
+alter table camera_incidents enable row level security;
+alter table frame_classifications enable row level security;
+alter table push_subscriptions enable row level security;
+alter table alert_rules enable row level security;